@@ -3,44 +3,118 @@
 // Use browser API (Firefox) or chrome API (Chrome) for cross-compatibility
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
+// storage.local key holding { [hostname]: { volume, muted, updatedAt } }
+const SITE_VOLUMES_KEY = 'siteVolumes';
+
+// storage.local key holding the play history, newest first
+const HISTORY_KEY = 'playHistory';
+const HISTORY_LIMIT = 500;
+// Longest gap between two updates still credited as listening time (suspended tabs go quiet)
+const HISTORY_MAX_TICK_MS = 5000;
+// Track changes and pauses are saved within a couple of seconds; listening time alone is saved
+// far less often, since rewriting the whole list on every progress update is wasteful
+const HISTORY_SAVE_DELAY_MS = 2000;
+const HISTORY_LISTEN_SAVE_MS = 30000;
+
+// storage.local key holding { [resumeKey]: { time, duration, updatedAt } } for long media
+const RESUME_POSITIONS_KEY = 'resumePositions';
+const RESUME_POSITIONS_LIMIT = 200;
+// Positions this close to either end aren't worth keeping
+const RESUME_EDGE_SECONDS = 10;
+
+// storage.session key holding the session map and targets, so an event page that Firefox
+// suspended (or a background reload) comes back with the popup still populated
+const SESSION_STATE_KEY = 'sessionState';
+
+// How long a play/pause we sent may take to show up as a transition before it counts as the user's
+const COMMANDED_TRANSITION_MS = 5000;
+
+const AGENT_SCRIPT_ID = 'media-agent';
+const AGENT_FILES = ['settings.js', 'protocol.js', 'logger.js', 'siteAdapters.js', 'mediaAgent.js'];
+
+// Toolbar icon sizes drawn with a play/pause overlay, and the overlay colors
+const ACTION_ICON_SIZES = [16, 32];
+const ACTION_ICON_COLORS = { playing: '#1db954', paused: '#535353' };
+
+// Log entries kept for the diagnostics page, from the background, agents and extension pages
+const LOG_BUFFER_SIZE = 500;
+
+const sessionLog = MediaLogger.create('sessions');
+const agentLog = MediaLogger.create('agents');
+const commandLog = MediaLogger.create('commands');
+const messageLog = MediaLogger.create('messages');
+const storageLog = MediaLogger.create('storage');
+const uiLog = MediaLogger.create('ui');
+
 class MediaSessionManager {
   constructor() {
     this.sessions = new Map(); // sessionId -> session data
     this.ports = new Set(); // connected popup ports
     this.lastActiveSessionId = null;
+    this.pinnedSessionId = null; // hotkey target chosen by cycling or pinning; overrides lastActiveSessionId
+    this.targetBadgeTimer = null;
+    this.playingCount = 0;
+    this.actionSignature = null; // last toolbar state applied, to skip redundant updates
+    this.actionIconState = 'idle'; // idle | playing | paused
+    this.actionIconBase = null; // Promise<ImageBitmap> of the extension icon
+    this.history = []; // play history entries, newest first
+    this.historyBySession = new Map(); // sessionId -> { entry, title, playing, lastTickAt }
+    this.historyFlushTimer = null;
+    this.historyFlushDue = 0; // when historyFlushTimer fires
+    this.historyReady = null; // resolves once stored history has been merged in
+    this.pendingResumePositions = new Map(); // resumeKey -> { time, duration } or null to forget
+    this.resumeFlushTimer = null;
+    this.persistTimer = null;
+    this.restored = null; // resolves once sessions saved before a restart are back
   this.lastBroadcastTimestamps = new Map(); // sessionId -> timestamp
+    this.pendingSiteVolumes = new Map(); // hostname -> { volume, muted } awaiting a storage write
+    this.siteVolumeFlushTimer = null;
+    this.agentTabs = new Set(); // tabIds whose top frame's agent has announced itself
+    this.staleAgentTabs = new Set(); // tabIds re-injected after their agent spoke another protocol version
+    this.pausedByPauseAll = new Set(); // sessionIds the last "pause all" stopped, for resume
+    this.exclusivePaused = new Map(); // sessionId -> Set of sessionIds its playback auto-paused
+    this.commandedTransitions = new Map(); // sessionId -> expiry timer, for play/pause changes we caused
+    this.settings = { ...MediaSettings.DEFAULTS };
+    this.injectSitePatterns = this.settings.alwaysInjectSites.map(MediaSettings.matchPatternToRegExp).filter(Boolean);
+    this.exclusiveExceptionPatterns = [];
+    this.logs = new MediaLogger.RingBuffer(LOG_BUFFER_SIZE);
     
     this.init();
   }
 
   init() {
-    // Listen for tab updates to detect audible tabs
+    MediaLogger.setSink(entry => this.logs.push({ ...entry, source: 'background' }));
+    this.restored = this.restoreSessions();
+
+    // Audible changes drive injection; navigations invalidate the agent announced by the old page.
+    // The filter keeps Firefox from waking the background for title/favicon/progress updates.
     browserAPI.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-      console.log('Tab updated:', tabId, 'changeInfo:', changeInfo);
-      
+      if (changeInfo.status === 'loading') {
+        this.agentTabs.delete(tabId);
+        this.staleAgentTabs.delete(tabId);
+      }
+
       if (changeInfo.audible !== undefined) {
         this.handleTabAudibleChange(tab);
       }
-      
-      // Also check when page status changes to complete for music sites
-      if (changeInfo.status === 'complete' && tab.url) {
-        const isMusicSite = tab.url.includes('spotify.com') ||
-                           tab.url.includes('youtube.com') ||
-                           tab.url.includes('soundcloud.com') ||
-                           tab.url.includes('music.youtube.com');
-        
-        if (isMusicSite) {
-          console.log('Music site loaded, injecting agent:', tab.url);
-          setTimeout(() => this.injectMediaAgent(tabId), 1000);
-        }
-      }
-    });
+    }, { properties: ['audible', 'status'] });
 
     // Listen for tab removal
     browserAPI.tabs.onRemoved.addListener((tabId) => {
+      this.agentTabs.delete(tabId);
+      this.staleAgentTabs.delete(tabId);
       this.removeSessionsForTab(tabId);
     });
 
+    // Keep session windows in sync when tabs are dragged between windows
+    browserAPI.tabs.onAttached.addListener((tabId, attachInfo) => {
+      this.updateTabWindow(tabId, attachInfo.newWindowId);
+    });
+
+    browserAPI.tabs.onDetached.addListener((tabId) => {
+      this.updateTabWindow(tabId, null);
+    });
+
     // Listen for commands (keyboard shortcuts)
     browserAPI.commands.onCommand.addListener((command) => {
       this.handleCommand(command);
@@ -59,17 +133,16 @@ class MediaSessionManager {
       return true; // Keep message channel open for async response
     });
 
-    // Initial scan for audible tabs
+    // Settings edited in the options page apply live
+    MediaSettings.onChange((changed) => this.applySettings(changed));
+    this.loadSettings();
+
+    this.historyReady = this.loadHistory();
+
+    browserAPI.action.setBadgeBackgroundColor({ color: ACTION_ICON_COLORS.playing });
+
+    // Initial scan for tabs that were already playing before the extension started
     this.scanAudibleTabs();
-    
-    // Also scan for music sites that might not be audible yet
-    this.scanMusicSites();
-    
-    // Periodic scan for missed audible tabs
-    setInterval(() => {
-      console.log('Periodic scan for audible tabs...');
-      this.scanAudibleTabs();
-    }, 5000);
   }
 
   async scanAudibleTabs() {
@@ -79,112 +152,211 @@ class MediaSessionManager {
         this.handleTabAudibleChange(tab);
       }
     } catch (error) {
-      console.error('Error scanning audible tabs:', error);
+      agentLog.error('Error scanning audible tabs:', error);
     }
   }
 
-  async scanMusicSites() {
+  async loadSettings() {
+    this.applySettings(await MediaSettings.load());
+  }
+
+  applySettings(changed) {
+    Object.assign(this.settings, changed);
+
+    // Re-register the always-inject content script when the site list changes
+    if (changed.alwaysInjectSites) {
+      this.applyInjectSites(this.settings.alwaysInjectSites);
+    }
+
+    if (changed.exclusiveExceptions) {
+      this.exclusiveExceptionPatterns = this.settings.exclusiveExceptions.map(MediaSettings.matchPatternToRegExp).filter(Boolean);
+    }
+
+    if (changed.exclusivePlayback === false) {
+      this.exclusivePaused.clear();
+    }
+  }
+
+  async applyInjectSites(sites) {
+    this.injectSitePatterns = sites.map(MediaSettings.matchPatternToRegExp).filter(Boolean);
+    await this.registerAgentScript(sites);
+
+    // Registered scripts only run on future page loads; cover tabs that are already open
+    if (sites.length === 0) return;
     try {
-      console.log('Scanning for music sites...');
-      const allTabs = await browserAPI.tabs.query({});
-      
-      for (const tab of allTabs) {
-        if (tab.url && (
-          tab.url.includes('spotify.com') ||
-          tab.url.includes('youtube.com') ||
-          tab.url.includes('soundcloud.com') ||
-          tab.url.includes('music.youtube.com')
-        )) {
-          console.log('Found music site tab:', tab.url);
-          await this.injectMediaAgent(tab.id);
-        }
+      const tabs = await browserAPI.tabs.query({ url: sites });
+      for (const tab of tabs) {
+        await this.injectMediaAgent(tab.id);
       }
     } catch (error) {
-      console.error('Error scanning music sites:', error);
+      agentLog.error('Error injecting into always-inject tabs:', error);
     }
   }
 
+  // The agent runs on every page load of the configured sites without any polling from here
+  async registerAgentScript(sites) {
+    try {
+      const registered = await browserAPI.scripting.getRegisteredContentScripts({ ids: [AGENT_SCRIPT_ID] });
+      if (registered.length > 0) {
+        await browserAPI.scripting.unregisterContentScripts({ ids: [AGENT_SCRIPT_ID] });
+      }
+
+      if (sites.length === 0) return;
+
+      await browserAPI.scripting.registerContentScripts([{
+        id: AGENT_SCRIPT_ID,
+        matches: sites,
+        js: AGENT_FILES,
+        allFrames: true,
+        runAt: 'document_idle',
+        persistAcrossSessions: false
+      }]);
+      agentLog.info('Registered media agent for sites:', sites);
+    } catch (error) {
+      agentLog.error('Error registering media agent content script:', error);
+    }
+  }
+
+  isInjectSite(url) {
+    return !!url && this.injectSitePatterns.some(pattern => pattern.test(url));
+  }
+
   async handleTabAudibleChange(tab) {
-    console.log('Tab audible change detected:', tab.id, 'audible:', tab.audible, 'url:', tab.url);
+    agentLog.debug('Tab audible change detected:', tab.id, 'audible:', tab.audible, 'url:', tab.url);
     
     if (tab.audible) {
-      // Tab became audible, inject media agent if needed
-      console.log('Injecting media agent into audible tab:', tab.id);
-      await this.injectMediaAgent(tab.id);
+      // Every frame gets the scripts, announced or not: the sound may come from an embed added
+      // after the top frame's agent started, and frames already running this agent skip the rerun
+      await this.injectMediaAgent(tab.id, { everyFrame: true });
     } else {
-      // For music sites like Spotify, don't remove sessions immediately when paused
-      // Only remove if the tab is actually closed or navigated away from music sites
-      const isMusicSite = tab.url && (
-        tab.url.includes('spotify.com') ||
-        tab.url.includes('youtube.com') ||
-        tab.url.includes('soundcloud.com') ||
-        tab.url.includes('music.youtube.com')
-      );
-      
-      if (!isMusicSite) {
-        console.log('Removing sessions for non-audible, non-music tab:', tab.id);
+      // For always-inject sites like Spotify, don't remove sessions immediately when paused
+      // Only remove if the tab is actually closed or navigated away from those sites
+      if (!this.isInjectSite(tab.url)) {
+        sessionLog.debug('Removing sessions for non-audible tab:', tab.id);
         this.removeSessionsForTab(tab.id);
       } else {
-        console.log('Keeping sessions for music site tab that became non-audible:', tab.id);
+        sessionLog.debug('Keeping sessions for always-inject site tab that became non-audible:', tab.id);
       }
     }
   }
 
-  async injectMediaAgent(tabId) {
+  // An agent that is already running answers the ping (and announces itself again);
+  // only tabs without one, or with one from another version of the extension, get the scripts injected.
+  async pingAgent(tabId) {
     try {
-      console.log('Attempting to inject media agent into tab:', tabId);
-      
-      // Check if agent is already injected
-      const results = await browserAPI.scripting.executeScript({
-        target: { tabId, allFrames: true },
-        func: () => window.hasMediaAgent === true
-      });
+      const response = await browserAPI.tabs.sendMessage(tabId, MediaProtocol.create('AGENT_PING'), { frameId: 0 });
+      if (response && response.ready && response.version !== MediaProtocol.VERSION) {
+        agentLog.info('Agent in tab', tabId, 'speaks protocol version', response.version, '- replacing it');
+        return false;
+      }
+      return !!(response && response.ready);
+    } catch (error) {
+      // No receiving end: no agent in this tab
+      return false;
+    }
+  }
 
-      const alreadyInjected = results.some(result => result.result === true);
-      console.log('Agent already injected?', alreadyInjected);
-      
-      if (!alreadyInjected) {
-        console.log('Injecting media agent script...');
-        await browserAPI.scripting.executeScript({
-          target: { tabId, allFrames: true },
-          files: ['mediaAgent.js']
-        });
-        console.log('Media agent injected successfully');
+  async injectMediaAgent(tabId, { everyFrame = false } = {}) {
+    if (!everyFrame && this.agentTabs.has(tabId)) return;
+
+    try {
+      if (!everyFrame && await this.pingAgent(tabId)) {
+        this.agentTabs.add(tabId);
+        return;
       }
+
+      agentLog.info('Injecting media agent into tab:', tabId);
+      await browserAPI.scripting.executeScript({
+        target: { tabId, allFrames: true },
+        files: AGENT_FILES
+      });
     } catch (error) {
-      console.error(`Error injecting media agent into tab ${tabId}:`, error);
+      agentLog.error(`Error injecting media agent into tab ${tabId}:`, error);
     }
   }
 
+  // Messages with another protocol version come from an agent left in a tab that stayed open
+  // across an extension update. Inject the current agent once; it ignores the old one's messages.
+  replaceStaleAgent(tabId) {
+    if (this.staleAgentTabs.has(tabId)) return;
+    this.staleAgentTabs.add(tabId);
+    this.agentTabs.delete(tabId);
+    this.injectMediaAgent(tabId);
+  }
+
   handleMessage(message, sender, sendResponse) {
-    const { type, data } = message;
     const tabId = sender.tab?.id;
 
-    console.log('Background received message:', type, 'from tab:', tabId);
+    const error = MediaProtocol.validate(message);
+    if (error) {
+      messageLog.error('Rejected message from', tabId !== undefined ? `tab ${tabId}:` : 'extension page:', error);
+      if (tabId !== undefined && message && message.version !== MediaProtocol.VERSION) {
+        this.replaceStaleAgent(tabId);
+      }
+      sendResponse({ error });
+      return;
+    }
+
+    const { type, data } = message;
+    // Logging every LOG message would feed the buffer its own echo
+    if (type !== 'LOG') {
+      messageLog.debug('Background received message:', type, 'from tab:', tabId);
+    }
 
     switch (type) {
       case 'SESSION_UPDATE':
-        console.log('Updating session:', data);
-        this.updateSession(data, tabId, sender.frameId || 0);
+        sessionLog.debug('Updating session:', data);
+        this.updateSession(data, tabId, sender.frameId || 0, sender.url);
+        // Nothing from private windows outlives them
+        if (data.resumeKey && !sender.tab?.incognito) {
+          this.rememberResumePosition(data.resumeKey, data.state);
+        }
         sendResponse({ success: true });
         break;
 
       case 'SESSION_REMOVE':
-        this.removeSession(data.sessionId);
+        this.removeSession(this.getSessionId(tabId, sender.frameId || 0, data.mediaId));
         sendResponse({ success: true });
         break;
 
       case 'CONTROL_COMMAND':
-        this.forwardControlCommand(data);
-        sendResponse({ success: true });
+        this.forwardControlCommand(data).then(sendResponse);
         break;
 
       case 'GET_SESSIONS':
-        sendResponse({ sessions: Array.from(this.sessions.values()) });
+        this.restored.then(() => sendResponse({ sessions: Array.from(this.sessions.values()) }));
+        break;
+
+      case 'GET_HISTORY':
+        this.historyReady.then(() => sendResponse({ history: this.history }));
+        break;
+
+      case 'CLEAR_HISTORY':
+        this.clearHistory().then(() => sendResponse({ success: true }));
+        break;
+
+      case 'LOG':
+        this.logs.push({ ...message.entry, source: this.describeLogSource(sender) });
+        sendResponse({ success: true });
+        break;
+
+      case 'GET_DIAGNOSTICS':
+        this.getDiagnostics().then(diagnostics => sendResponse({ diagnostics }));
+        break;
+
+      case 'CLEAR_LOGS':
+        this.logs.clear();
+        sendResponse({ success: true });
         break;
 
       case 'GET_TAB_ID':
-        sendResponse({ tabId: tabId });
+        // From the top frame this doubles as the agent's announcement, so the tab isn't probed again;
+        // an embed's agent says nothing about the page around it.
+        // The agent adopts the browser's frame id so session ids and MEDIA_CONTROL routing agree
+        if (!sender.frameId) {
+          this.agentTabs.add(tabId);
+        }
+        sendResponse({ tabId: tabId, frameId: sender.frameId || 0 });
         break;
 
       default:
@@ -192,8 +364,13 @@ class MediaSessionManager {
     }
   }
 
-  updateSession(sessionData, tabId, frameId) {
-    const sessionId = `${tabId}:${frameId}`;
+  // One session per media element: a frame can report several, told apart by the agent's mediaId
+  getSessionId(tabId, frameId, mediaId) {
+    return `${tabId}:${frameId}:${mediaId}`;
+  }
+
+  updateSession(sessionData, tabId, frameId, frameUrl) {
+    const sessionId = this.getSessionId(tabId, frameId, sessionData.mediaId);
     
     // Get tab info for the session
     browserAPI.tabs.get(tabId).then(tab => {
@@ -211,32 +388,51 @@ class MediaSessionManager {
         id: sessionId,
         tabId,
         frameId,
+        mediaId: sessionData.mediaId,
+        mediaLabel: sessionData.mediaLabel,
         title: sessionData.title || tab.title,
+        artist: sessionData.artist || null,
+        album: sessionData.album || null,
+        windowId: tab.windowId,
         url: tab.url,
+        frameUrl: frameUrl || tab.url,
         favIconUrl: tab.favIconUrl,
         artworkUrl: sessionData.artworkUrl,
         state: sessionData.state,
+        incognito: Boolean(tab.incognito),
         lastActiveAt
       };
 
       // Decide whether to update lastActiveAt (only when session becomes playing)
+      let startedPlaying = false;
       if (prev && prev.state && prev.state.paused && !session.state.paused) {
         session.lastActiveAt = now;
         this.lastActiveSessionId = sessionId;
+        startedPlaying = true;
       } else if (!prev && !session.state.paused) {
         // new and playing
         session.lastActiveAt = now;
         this.lastActiveSessionId = sessionId;
+        startedPlaying = true;
       }
+      const stoppedPlaying = Boolean(prev && prev.state && !prev.state.paused && session.state.paused);
 
       // Throttle frequent progress updates per session to reduce UI churn
       const lastBroadcast = this.lastBroadcastTimestamps.get(sessionId) || 0;
       const isStateChange = !prev || (prev.state && prev.state.paused !== session.state.paused);
-      const throttleMs = 300; // minimum ms between broadcasts for progress-only updates
+      const throttleMs = this.settings.progressThrottleMs; // minimum ms between broadcasts for progress-only updates
       const shouldBroadcast = isStateChange || (now - lastBroadcast) >= throttleMs || !prev;
 
       // Store session state regardless so background has latest
       this.sessions.set(sessionId, session);
+      this.schedulePersist();
+
+      if (startedPlaying || stoppedPlaying) {
+        this.handlePlaybackTransition(session, startedPlaying);
+      }
+
+      this.updateActionState();
+      this.recordHistory(session, now);
 
       if (shouldBroadcast) {
         this.lastBroadcastTimestamps.set(sessionId, now);
@@ -247,7 +443,7 @@ class MediaSessionManager {
         });
       }
     }).catch(error => {
-      console.error('Error getting tab info:', error);
+      sessionLog.error('Error getting tab info:', error);
     });
   }
 
@@ -262,9 +458,72 @@ class MediaSessionManager {
         type: 'SESSION_REMOVED',
         sessionId
       });
+      this.schedulePersist();
+
+      if (this.pausedByPauseAll.delete(sessionId)) {
+        this.broadcastResumable();
+      }
+
+      if (this.pinnedSessionId === sessionId) {
+        this.setPinnedSession(null);
+      }
+      this.updateActionState();
+
+      if (this.historyBySession.delete(sessionId)) {
+        this.scheduleHistoryFlush(HISTORY_SAVE_DELAY_MS);
+      }
+
+      // A closed tab counts as its playback ending
+      this.clearCommandedTransition(sessionId);
+      this.releaseExclusivePaused(sessionId);
+    }
+  }
+
+  // Exclusive playback: a session that starts playing pauses the others; with exclusiveResume
+  // they come back when it pauses, ends or goes away
+  handlePlaybackTransition(session, startedPlaying) {
+    // Transitions we caused ourselves (auto-pause, resume, pause all, solo) don't count
+    if (this.clearCommandedTransition(session.id)) return;
+    if (!this.settings.exclusivePlayback) return;
+
+    if (!startedPlaying) {
+      this.releaseExclusivePaused(session.id);
+      return;
+    }
+
+    // Merge with an earlier set so a session resumed in between keeps what it paused
+    const paused = this.exclusivePaused.get(session.id) || new Set();
+    for (const other of this.sessions.values()) {
+      if (other.id === session.id || !this.isPlaying(other) || this.isExclusiveException(other)) continue;
+
+      paused.add(other.id);
+      this.pauseSession(other.id);
+    }
+
+    if (paused.size > 0) {
+      this.exclusivePaused.set(session.id, paused);
     }
   }
 
+  releaseExclusivePaused(sessionId) {
+    const paused = this.exclusivePaused.get(sessionId);
+    if (!paused) return;
+
+    this.exclusivePaused.delete(sessionId);
+    if (!this.settings.exclusiveResume) return;
+
+    for (const otherId of paused) {
+      const other = this.sessions.get(otherId);
+      if (other && !this.isPlaying(other)) {
+        this.playSession(otherId);
+      }
+    }
+  }
+
+  isExclusiveException(session) {
+    return this.exclusiveExceptionPatterns.some(pattern => pattern.test(session.url || ''));
+  }
+
   removeSessionsForTab(tabId) {
     const toRemove = [];
     for (const [sessionId, session] of this.sessions.entries()) {
@@ -278,6 +537,107 @@ class MediaSessionManager {
     }
   }
 
+  updateTabWindow(tabId, windowId) {
+    for (const session of this.sessions.values()) {
+      if (session.tabId === tabId) {
+        session.windowId = windowId;
+        this.broadcastToPopups({
+          type: 'SESSION_UPDATED',
+          session
+        });
+        this.schedulePersist();
+      }
+    }
+  }
+
+  async restoreSessions() {
+    let saved;
+    try {
+      const stored = await browserAPI.storage.session.get(SESSION_STATE_KEY);
+      saved = stored[SESSION_STATE_KEY];
+    } catch (error) {
+      storageLog.error('Error restoring sessions:', error);
+      return;
+    }
+    if (!saved) return;
+
+    // Updates that arrived while loading are newer than the saved copies
+    for (const session of saved.sessions) {
+      if (!this.sessions.has(session.id)) {
+        this.sessions.set(session.id, session);
+      }
+    }
+    this.lastActiveSessionId = this.lastActiveSessionId || saved.lastActiveSessionId;
+    this.pinnedSessionId = this.pinnedSessionId || saved.pinnedSessionId;
+    for (const sessionId of saved.pausedByPauseAll) {
+      this.pausedByPauseAll.add(sessionId);
+    }
+
+    sessionLog.info('Restored', saved.sessions.length, 'sessions');
+    this.updateActionState();
+    this.reconcileSessions();
+  }
+
+  // Ask every frame that had sessions what it tracks now. Agents answer with their media ids and
+  // re-send a SESSION_UPDATE for each; sessions no agent claims (closed tabs, navigated frames) go.
+  async reconcileSessions() {
+    const frames = new Map(); // "tabId:frameId" -> { tabId, frameId }
+    for (const session of this.sessions.values()) {
+      frames.set(`${session.tabId}:${session.frameId}`, { tabId: session.tabId, frameId: session.frameId });
+    }
+
+    await Promise.all(Array.from(frames.values()).map(async ({ tabId, frameId }) => {
+      let mediaIds = [];
+      try {
+        const response = await browserAPI.tabs.sendMessage(tabId, MediaProtocol.create('REQUEST_STATE', {
+          frameId
+        }), { frameId });
+        if (response && Array.isArray(response.mediaIds)) {
+          mediaIds = response.mediaIds;
+          if (frameId === 0) {
+            this.agentTabs.add(tabId);
+          }
+        } else if (response && response.error) {
+          // The agent rejected the request: it's from another version of the extension
+          this.replaceStaleAgent(tabId);
+        }
+      } catch (error) {
+        // No agent answered; everything restored for this frame is stale
+      }
+
+      for (const session of Array.from(this.sessions.values())) {
+        if (session.tabId === tabId && session.frameId === frameId && !mediaIds.includes(session.mediaId)) {
+          this.removeSession(session.id);
+        }
+      }
+    }));
+  }
+
+  // Session updates arrive several times a second; save at most once a second
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persistSessions(), 1000);
+  }
+
+  async persistSessions() {
+    this.persistTimer = null;
+
+    try {
+      // Never overwrite the saved state before it has been read back
+      await this.restored;
+      await browserAPI.storage.session.set({
+        [SESSION_STATE_KEY]: {
+          sessions: Array.from(this.sessions.values()),
+          lastActiveSessionId: this.lastActiveSessionId,
+          pinnedSessionId: this.pinnedSessionId,
+          pausedByPauseAll: Array.from(this.pausedByPauseAll)
+        }
+      });
+    } catch (error) {
+      storageLog.error('Error saving sessions:', error);
+    }
+  }
+
   findMostRecentActiveSession() {
     let mostRecent = null;
     let mostRecentTime = 0;
@@ -292,76 +652,613 @@ class MediaSessionManager {
     return mostRecent;
   }
 
+  // Only the parameters the protocol declares for the command reach the agent. Resolves with the
+  // agent's { ok, error } once the command has run
   async forwardControlCommand(command) {
-    const { sessionId, cmd, ...params } = command;
+    const { sessionId, cmd } = command;
+    const params = MediaProtocol.pickParams(cmd, command);
     const session = this.sessions.get(sessionId);
     
     if (!session) {
-      console.error('Session not found:', sessionId);
-      return;
+      commandLog.warn('Session not found:', sessionId);
+      return { ok: false, error: 'This media has stopped' };
     }
 
+    let result;
     try {
-      await browserAPI.tabs.sendMessage(session.tabId, {
-        type: 'MEDIA_CONTROL',
+      result = await browserAPI.tabs.sendMessage(session.tabId, MediaProtocol.create('MEDIA_CONTROL', {
         frameId: session.frameId,
+        mediaId: session.mediaId,
         cmd,
         params
-      });
+      }), { frameId: session.frameId });
     } catch (error) {
-      console.error('Error forwarding control command:', error);
+      commandLog.error('Error forwarding control command:', error);
       // Remove session if tab is no longer responsive
       this.removeSession(sessionId);
+      return { ok: false, error: 'The tab stopped responding' };
+    }
+
+    if (result && result.ok) {
+      // Only a volume the page actually took is worth applying to the site's future media
+      if (cmd === 'setVolume' || cmd === 'mute') {
+        this.rememberSiteVolume(session, cmd, params);
+      }
+      return { ok: true };
+    }
+    const error = (result && result.error) || 'The page did not answer';
+    commandLog.warn('Control command failed:', cmd, error);
+    return { ok: false, error };
+  }
+
+  // Remember the volume chosen in the popup for the frame's site; the agent re-applies it on attach
+  rememberSiteVolume(session, cmd, params) {
+    if (session.incognito) return;
+
+    let hostname;
+    try {
+      hostname = new URL(session.frameUrl || session.url).hostname;
+    } catch {
+      return;
+    }
+    if (!hostname) return;
+
+    const entry = this.pendingSiteVolumes.get(hostname) || {
+      volume: session.state.volume,
+      muted: session.state.muted
+    };
+
+    if (cmd === 'setVolume') {
+      entry.volume = Math.max(0, Math.min(1, params.volume));
+    } else {
+      entry.muted = params.muted !== undefined ? params.muted : !session.state.muted;
     }
+    this.pendingSiteVolumes.set(hostname, entry);
+
+    // Volume sliders fire on every input event; batch them into one write
+    clearTimeout(this.siteVolumeFlushTimer);
+    this.siteVolumeFlushTimer = setTimeout(() => this.flushSiteVolumes(), 500);
+  }
+
+  async flushSiteVolumes() {
+    const updates = this.pendingSiteVolumes;
+    this.pendingSiteVolumes = new Map();
+
+    try {
+      const stored = await browserAPI.storage.local.get(SITE_VOLUMES_KEY);
+      const siteVolumes = stored[SITE_VOLUMES_KEY] || {};
+      for (const [hostname, entry] of updates) {
+        siteVolumes[hostname] = { ...entry, updatedAt: Date.now() };
+      }
+      await browserAPI.storage.local.set({ [SITE_VOLUMES_KEY]: siteVolumes });
+    } catch (error) {
+      storageLog.error('Error saving site volumes:', error);
+    }
+  }
+
+  // The agent reports a resumeKey for long media it wants positions saved for; finished media
+  // (or media barely started) is forgotten so it doesn't offer to resume
+  rememberResumePosition(resumeKey, state) {
+    const { currentTime, duration, ended } = state;
+    const finished = ended || duration - currentTime < RESUME_EDGE_SECONDS;
+
+    if (finished) {
+      this.pendingResumePositions.set(resumeKey, null);
+    } else if (currentTime >= RESUME_EDGE_SECONDS) {
+      this.pendingResumePositions.set(resumeKey, { time: currentTime, duration });
+    } else {
+      return;
+    }
+
+    if (!this.resumeFlushTimer) {
+      this.resumeFlushTimer = setTimeout(() => this.flushResumePositions(), 2000);
+    }
+  }
+
+  async flushResumePositions() {
+    this.resumeFlushTimer = null;
+    const updates = this.pendingResumePositions;
+    this.pendingResumePositions = new Map();
+
+    try {
+      const stored = await browserAPI.storage.local.get(RESUME_POSITIONS_KEY);
+      const positions = stored[RESUME_POSITIONS_KEY] || {};
+      for (const [resumeKey, position] of updates) {
+        if (position) {
+          positions[resumeKey] = { ...position, updatedAt: Date.now() };
+        } else {
+          delete positions[resumeKey];
+        }
+      }
+
+      // Keep the most recently updated positions
+      const keys = Object.keys(positions);
+      if (keys.length > RESUME_POSITIONS_LIMIT) {
+        keys.sort((a, b) => positions[b].updatedAt - positions[a].updatedAt);
+        for (const key of keys.slice(RESUME_POSITIONS_LIMIT)) {
+          delete positions[key];
+        }
+      }
+
+      await browserAPI.storage.local.set({ [RESUME_POSITIONS_KEY]: positions });
+    } catch (error) {
+      storageLog.error('Error saving resume positions:', error);
+    }
+  }
+
+  async loadHistory() {
+    try {
+      const stored = await browserAPI.storage.local.get(HISTORY_KEY);
+      // Entries recorded while loading are newer than anything stored
+      this.history = this.history.concat(stored[HISTORY_KEY] || []).slice(0, HISTORY_LIMIT);
+    } catch (error) {
+      storageLog.error('Error loading play history:', error);
+    }
+  }
+
+  // One history entry per track a session plays; listening time accrues while it keeps playing.
+  // Private windows keep no history
+  recordHistory(session, now) {
+    if (session.incognito) return;
+
+    const playing = this.isPlaying(session);
+    let current = this.historyBySession.get(session.id);
+
+    if (current && current.playing) {
+      current.entry.listenedSeconds += Math.min(now - current.lastTickAt, HISTORY_MAX_TICK_MS) / 1000;
+      current.entry.lastPlayedAt = now;
+      this.scheduleHistoryFlush(playing ? HISTORY_LISTEN_SAVE_MS : HISTORY_SAVE_DELAY_MS);
+    }
+
+    // Nothing is logged until a track actually plays; a new title means a new track
+    if (playing && (!current || current.title !== session.title)) {
+      // The same track picked up again (a reload, a second player) continues the latest entry
+      let entry = this.history[0];
+      if (!entry || entry.title !== session.title || entry.url !== session.url) {
+        entry = {
+          title: session.title,
+          artist: session.artist,
+          album: session.album,
+          site: this.getSiteName(session.url),
+          url: session.url,
+          artworkUrl: session.artworkUrl || null,
+          startedAt: now,
+          lastPlayedAt: now,
+          listenedSeconds: 0
+        };
+        this.history.unshift(entry);
+        if (this.history.length > HISTORY_LIMIT) {
+          this.history.length = HISTORY_LIMIT;
+        }
+      }
+
+      current = { entry, title: session.title };
+      this.historyBySession.set(session.id, current);
+      this.scheduleHistoryFlush(HISTORY_SAVE_DELAY_MS);
+    }
+
+    if (current) {
+      current.playing = playing;
+      current.lastTickAt = now;
+    }
+  }
+
+  // Writes the history within delay ms; an earlier pending write covers this one
+  scheduleHistoryFlush(delay) {
+    const due = Date.now() + delay;
+    if (this.historyFlushTimer && this.historyFlushDue <= due) return;
+
+    clearTimeout(this.historyFlushTimer);
+    this.historyFlushDue = due;
+    this.historyFlushTimer = setTimeout(() => this.flushHistory(), delay);
+  }
+
+  async flushHistory() {
+    this.historyFlushTimer = null;
+
+    try {
+      await this.historyReady;
+      await browserAPI.storage.local.set({ [HISTORY_KEY]: this.history });
+    } catch (error) {
+      storageLog.error('Error saving play history:', error);
+    }
+  }
+
+  async clearHistory() {
+    this.history = [];
+    // Tracks playing right now start a fresh entry on their next update
+    this.historyBySession.clear();
+
+    try {
+      await browserAPI.storage.local.remove(HISTORY_KEY);
+    } catch (error) {
+      storageLog.error('Error clearing play history:', error);
+    }
+  }
+
+  isPlaying(session) {
+    return Boolean(session.state && !session.state.paused);
+  }
+
+  // Play/pause on our own initiative; the resulting transition is not a user action. The mark goes
+  // away if the command fails or nothing changes, so it can't swallow the user's next play or pause
+  pauseSession(sessionId) {
+    this.commandTransition(sessionId, 'pause');
+  }
+
+  playSession(sessionId) {
+    this.commandTransition(sessionId, 'play');
+  }
+
+  commandTransition(sessionId, cmd) {
+    this.clearCommandedTransition(sessionId);
+    const timer = setTimeout(() => this.clearCommandedTransition(sessionId), COMMANDED_TRANSITION_MS);
+    this.commandedTransitions.set(sessionId, timer);
+
+    this.forwardControlCommand({ sessionId, cmd }).then(result => {
+      if (!result.ok && this.commandedTransitions.get(sessionId) === timer) {
+        this.clearCommandedTransition(sessionId);
+      }
+    });
+  }
+
+  // Returns whether the session's next transition was ours
+  clearCommandedTransition(sessionId) {
+    clearTimeout(this.commandedTransitions.get(sessionId));
+    return this.commandedTransitions.delete(sessionId);
+  }
+
+  // Pause every playing session in every window, remembering them for resumeAll
+  pauseAll() {
+    const playing = Array.from(this.sessions.values()).filter(session => this.isPlaying(session));
+
+    // Nothing to pause; keep the set from the previous pause-all so it can still be resumed
+    if (playing.length === 0) return;
+
+    this.pausedByPauseAll = new Set(playing.map(session => session.id));
+    for (const session of playing) {
+      this.pauseSession(session.id);
+    }
+    this.broadcastResumable();
+  }
+
+  // Resume only the sessions the last pauseAll stopped
+  resumeAll() {
+    for (const sessionId of this.pausedByPauseAll) {
+      const session = this.sessions.get(sessionId);
+      if (session && !this.isPlaying(session)) {
+        this.playSession(sessionId);
+      }
+    }
+    this.pausedByPauseAll.clear();
+    this.broadcastResumable();
+  }
+
+  // Play one session and pause every other one
+  soloSession(sessionId) {
+    const target = this.sessions.get(sessionId);
+    if (!target) {
+      commandLog.warn('Session not found:', sessionId);
+      return;
+    }
+
+    for (const session of this.sessions.values()) {
+      if (session.id !== sessionId && this.isPlaying(session)) {
+        this.pauseSession(session.id);
+      }
+    }
+    if (!this.isPlaying(target)) {
+      this.playSession(sessionId);
+    }
+  }
+
+  broadcastResumable() {
+    this.schedulePersist();
+    this.broadcastToPopups({
+      type: 'RESUMABLE_CHANGED',
+      count: this.pausedByPauseAll.size
+    });
+  }
+
+  // Session the global shortcuts act on: the pinned one, else the most recently started
+  getTargetSessionId() {
+    if (this.pinnedSessionId && this.sessions.has(this.pinnedSessionId)) {
+      return this.pinnedSessionId;
+    }
+    return this.lastActiveSessionId;
+  }
+
+  setPinnedSession(sessionId) {
+    this.pinnedSessionId = sessionId;
+    this.schedulePersist();
+    this.broadcastToPopups({
+      type: 'TARGET_CHANGED',
+      sessionId
+    });
+    this.updateActionState();
+  }
+
+  // Pin the next (or previous) session as hotkey target, in the order sessions appeared
+  cycleTarget(direction) {
+    const ids = Array.from(this.sessions.keys());
+    if (ids.length === 0) {
+      commandLog.debug('No sessions to cycle through');
+      return;
+    }
+
+    const current = ids.indexOf(this.getTargetSessionId());
+    const next = current === -1
+      ? (direction > 0 ? 0 : ids.length - 1)
+      : (current + direction + ids.length) % ids.length;
+
+    this.setPinnedSession(ids[next]);
+    this.announceTarget(next + 1, ids.length);
+  }
+
+  // Briefly show the new target: "n/total" on the toolbar badge plus a notification
+  announceTarget(position, total) {
+    const session = this.sessions.get(this.pinnedSessionId);
+    if (!session) return;
+
+    browserAPI.action.setBadgeText({ text: `${position}/${total}` });
+    clearTimeout(this.targetBadgeTimer);
+    this.targetBadgeTimer = setTimeout(() => {
+      this.targetBadgeTimer = null;
+      this.updateBadge();
+    }, 3000);
+
+    const site = this.getSiteName(session.url);
+
+    browserAPI.notifications.create('hotkey-target', {
+      type: 'basic',
+      iconUrl: browserAPI.runtime.getURL('icons/icon-96.png'),
+      title: `Shortcut target ${position}/${total}`,
+      message: [session.mediaLabel || session.title, site].filter(Boolean).join(' — ')
+    }).then(() => {
+      setTimeout(() => browserAPI.notifications.clear('hotkey-target'), 3000);
+    }).catch(error => {
+      uiLog.error('Error showing target notification:', error);
+    });
+  }
+
+  getSiteName(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // Toolbar button: the badge counts playing sessions, the icon and tooltip follow the shortcut target
+  updateActionState() {
+    const playingCount = Array.from(this.sessions.values()).filter(session => this.isPlaying(session)).length;
+    const targetId = this.getTargetSessionId();
+    const target = targetId ? this.sessions.get(targetId) : null;
+    const iconState = target ? (this.isPlaying(target) ? 'playing' : 'paused') : 'idle';
+    const title = target
+      ? [target.mediaLabel || target.title, this.getSiteName(target.url)].filter(Boolean).join(' — ')
+      : '';
+
+    // Called on every progress update; only touch the toolbar when something visible changed
+    const signature = `${playingCount}|${iconState}|${title}`;
+    if (signature === this.actionSignature) return;
+    this.actionSignature = signature;
+
+    this.playingCount = playingCount;
+    this.updateBadge();
+
+    // null restores the default tooltip (the extension name)
+    browserAPI.action.setTitle({ title: title || null });
+
+    if (iconState !== this.actionIconState) {
+      this.actionIconState = iconState;
+      this.updateActionIcon(iconState);
+    }
+  }
+
+  updateBadge() {
+    // The shortcut target badge ("2/3") stays up until its timer ends
+    if (this.targetBadgeTimer) return;
+    browserAPI.action.setBadgeText({ text: this.playingCount > 0 ? String(this.playingCount) : '' });
+  }
+
+  async updateActionIcon(iconState) {
+    if (iconState === 'idle') {
+      browserAPI.action.setIcon({ path: browserAPI.runtime.getManifest().action.default_icon });
+      return;
+    }
+
+    try {
+      const imageData = {};
+      for (const size of ACTION_ICON_SIZES) {
+        imageData[size] = await this.drawActionIcon(size, iconState);
+      }
+
+      // A newer state may have been applied while drawing
+      if (iconState === this.actionIconState) {
+        await browserAPI.action.setIcon({ imageData });
+      }
+    } catch (error) {
+      uiLog.error('Error updating toolbar icon:', error);
+    }
+  }
+
+  // The extension icon with a play or pause badge in the bottom-right corner
+  async drawActionIcon(size, iconState) {
+    if (!this.actionIconBase) {
+      this.actionIconBase = fetch(browserAPI.runtime.getURL('icons/icon-96.png'))
+        .then(response => response.blob())
+        .then(blob => createImageBitmap(blob));
+    }
+    const base = await this.actionIconBase;
+
+    const canvas = new OffscreenCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(base, 0, 0, size, size);
+
+    const radius = size * 0.28;
+    const cx = size - radius;
+    const cy = size - radius;
+    ctx.fillStyle = ACTION_ICON_COLORS[iconState];
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Playing shows the play glyph, paused shows pause bars
+    const glyph = radius * 0.5;
+    ctx.fillStyle = '#ffffff';
+    if (iconState === 'playing') {
+      ctx.beginPath();
+      ctx.moveTo(cx - glyph * 0.6, cy - glyph);
+      ctx.lineTo(cx + glyph, cy);
+      ctx.lineTo(cx - glyph * 0.6, cy + glyph);
+      ctx.closePath();
+      ctx.fill();
+    } else {
+      const barWidth = glyph * 0.6;
+      ctx.fillRect(cx - glyph * 0.8, cy - glyph, barWidth, glyph * 2);
+      ctx.fillRect(cx + glyph * 0.2, cy - glyph, barWidth, glyph * 2);
+    }
+
+    return ctx.getImageData(0, 0, size, size);
   }
 
   handleCommand(command) {
-    const session = this.lastActiveSessionId ? this.sessions.get(this.lastActiveSessionId) : null;
+    // Fan-out and target selection commands work without an active session
+    switch (command) {
+      case 'pause-all':
+        this.pauseAll();
+        return;
+
+      case 'resume-all':
+        this.resumeAll();
+        return;
+
+      case 'cycle-target-next':
+        this.cycleTarget(1);
+        return;
+
+      case 'cycle-target-previous':
+        this.cycleTarget(-1);
+        return;
+    }
+
+    const sessionId = this.getTargetSessionId();
+    const session = sessionId ? this.sessions.get(sessionId) : null;
     
     if (!session) {
-      console.log('No active session for command:', command);
+      commandLog.debug('No active session for command:', command);
       return;
     }
 
     switch (command) {
       case 'toggle-play':
         this.forwardControlCommand({
-          sessionId: this.lastActiveSessionId,
+          sessionId,
           cmd: 'toggle'
         });
         break;
 
       case 'seek-forward':
         this.forwardControlCommand({
-          sessionId: this.lastActiveSessionId,
+          sessionId,
           cmd: 'seek',
-          delta: 10
+          delta: this.settings.seekForwardStep
         });
         break;
 
       case 'seek-backward':
         this.forwardControlCommand({
-          sessionId: this.lastActiveSessionId,
+          sessionId,
           cmd: 'seek',
-          delta: -10
+          delta: -this.settings.seekBackwardStep
         });
         break;
+
+      case 'speed-up':
+        this.forwardControlCommand({
+          sessionId,
+          cmd: 'stepRate',
+          delta: this.settings.rateStep
+        });
+        break;
+
+      case 'speed-down':
+        this.forwardControlCommand({
+          sessionId,
+          cmd: 'stepRate',
+          delta: -this.settings.rateStep
+        });
+        break;
+
+      case 'speed-reset':
+        this.forwardControlCommand({
+          sessionId,
+          cmd: 'setRate',
+          rate: 1
+        });
+        break;
+
+      case 'toggle-pip':
+        this.forwardControlCommand({
+          sessionId,
+          cmd: 'pip'
+        });
+        break;
+
+      case 'solo-active':
+        this.soloSession(sessionId);
+        break;
     }
   }
 
   handlePopupConnection(port) {
     this.ports.add(port);
 
-    // Send current sessions to the new popup
-    port.postMessage({
-      type: 'SESSIONS_INIT',
-      sessions: Array.from(this.sessions.values())
+    // Send current sessions to the new popup, including any restored after a restart
+    this.restored.then(() => {
+      port.postMessage(MediaProtocol.create('SESSIONS_INIT', {
+        sessions: Array.from(this.sessions.values()),
+        resumableCount: this.pausedByPauseAll.size,
+        pinnedSessionId: this.pinnedSessionId
+      }));
     });
 
     // Handle popup messages
     port.onMessage.addListener((message) => {
-      if (message.type === 'CONTROL_COMMAND') {
-        this.forwardControlCommand(message.data);
+      const error = MediaProtocol.validate(message);
+      if (error) {
+        messageLog.error('Rejected message from popup:', error);
+        return;
+      }
+
+      switch (message.type) {
+        case 'CONTROL_COMMAND':
+          this.forwardControlCommand(message.data).then(result => {
+            if (message.requestId === undefined) return;
+            try {
+              port.postMessage(MediaProtocol.create('COMMAND_RESULT', { requestId: message.requestId, ...result }));
+            } catch (error) {
+              // The popup closed before the command finished
+            }
+          });
+          break;
+
+        case 'PAUSE_ALL':
+          this.pauseAll();
+          break;
+
+        case 'RESUME_ALL':
+          this.resumeAll();
+          break;
+
+        case 'SOLO':
+          this.soloSession(message.sessionId);
+          break;
+
+        case 'PIN_TARGET':
+          this.setPinnedSession(this.sessions.has(message.sessionId) ? message.sessionId : null);
+          break;
       }
     });
 
@@ -372,18 +1269,84 @@ class MediaSessionManager {
   }
 
   broadcastToPopups(message) {
+    const versioned = MediaProtocol.create(message.type, message);
     for (const port of this.ports) {
       try {
-        port.postMessage(message);
+        port.postMessage(versioned);
       } catch (error) {
         // Port is disconnected, remove it
         this.ports.delete(port);
       }
     }
   }
+
+  // "popup", "options", ... for extension pages; "tab 3" or "tab 3 frame 5" for agents
+  describeLogSource(sender) {
+    const extensionUrl = browserAPI.runtime.getURL('');
+    if (sender.url && sender.url.startsWith(extensionUrl)) {
+      return sender.url.slice(extensionUrl.length).replace(/\.html.*$/, '');
+    }
+    if (!sender.tab) return 'unknown';
+    return sender.frameId ? `tab ${sender.tab.id} frame ${sender.frameId}` : `tab ${sender.tab.id}`;
+  }
+
+  // Everything the diagnostics page shows and exports
+  async getDiagnostics() {
+    await this.restored;
+    return {
+      generatedAt: new Date().toISOString(),
+      extensionVersion: browserAPI.runtime.getManifest().version,
+      protocolVersion: MediaProtocol.VERSION,
+      settings: this.settings,
+      lastActiveSessionId: this.lastActiveSessionId,
+      pinnedSessionId: this.pinnedSessionId,
+      sessions: Array.from(this.sessions.values()),
+      agents: await this.getAgentStatus(),
+      logs: this.logs.toArray()
+    };
+  }
+
+  // Tabs with an agent or sessions, with what their top frame's agent answers to a ping right now
+  async getAgentStatus() {
+    const tabIds = new Set([...this.agentTabs, ...this.staleAgentTabs]);
+    for (const session of this.sessions.values()) {
+      tabIds.add(session.tabId);
+    }
+
+    return Promise.all(Array.from(tabIds).map(async (tabId) => {
+      const status = {
+        tabId,
+        title: null,
+        url: null,
+        announced: this.agentTabs.has(tabId),
+        replacing: this.staleAgentTabs.has(tabId),
+        agentVersion: null, // null when nothing answered
+        sessionCount: Array.from(this.sessions.values()).filter(session => session.tabId === tabId).length
+      };
+
+      try {
+        const tab = await browserAPI.tabs.get(tabId);
+        status.title = tab.title;
+        status.url = tab.url;
+      } catch (error) {
+        // The tab closed since
+      }
+
+      try {
+        const response = await browserAPI.tabs.sendMessage(tabId, MediaProtocol.create('AGENT_PING'), { frameId: 0 });
+        if (response && response.ready) {
+          status.agentVersion = response.version;
+        }
+      } catch (error) {
+        // No agent in the top frame
+      }
+
+      return status;
+    }));
+  }
 }
 
 // Initialize the session manager
 const sessionManager = new MediaSessionManager();
 
-console.log('Global Media Controller background script loaded');
+sessionLog.info('Global Media Controller background script loaded');
@@ -0,0 +1,200 @@
+// Diagnostics Page - Recent log entries, the background's sessions and per-tab agent status, with
+// a JSON export to attach to bug reports
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// How often the page reloads its data while "Live" is checked
+const LIVE_REFRESH_MS = 2000;
+
+const LEVEL_LABELS = {
+  debug: 'everything',
+  info: 'activity, warnings and errors',
+  warn: 'warnings and errors',
+  error: 'errors only'
+};
+
+const uiLog = MediaLogger.create('ui');
+
+class DiagnosticsPage {
+  constructor() {
+    this.diagnostics = null;
+    this.liveTimer = null;
+
+    this.init();
+  }
+
+  init() {
+    this.summary = document.getElementById('summary');
+    this.levelFilter = document.getElementById('levelFilter');
+
+    document.getElementById('refreshBtn').addEventListener('click', () => this.refresh());
+    document.getElementById('clearLogsBtn').addEventListener('click', () => this.clearLogs());
+    document.getElementById('exportBtn').addEventListener('click', () => this.exportDiagnostics());
+    document.getElementById('liveToggle').addEventListener('change', (e) => this.setLive(e.target.checked));
+    this.levelFilter.addEventListener('change', () => this.renderLogs());
+
+    this.refresh();
+  }
+
+  async refresh() {
+    try {
+      const response = await browserAPI.runtime.sendMessage(MediaProtocol.create('GET_DIAGNOSTICS'));
+      if (!response || !response.diagnostics) {
+        throw new Error((response && response.error) || 'No diagnostics in the response');
+      }
+      this.diagnostics = response.diagnostics;
+    } catch (error) {
+      uiLog.error('Error loading diagnostics:', error);
+      this.summary.textContent = 'Could not reach the background script.';
+      return;
+    }
+
+    this.render();
+  }
+
+  setLive(live) {
+    clearInterval(this.liveTimer);
+    this.liveTimer = live ? setInterval(() => this.refresh(), LIVE_REFRESH_MS) : null;
+  }
+
+  async clearLogs() {
+    try {
+      await browserAPI.runtime.sendMessage(MediaProtocol.create('CLEAR_LOGS'));
+    } catch (error) {
+      uiLog.error('Error clearing logs:', error);
+    }
+    this.refresh();
+  }
+
+  async exportDiagnostics() {
+    await this.refresh();
+    if (!this.diagnostics) return;
+
+    const report = { ...this.diagnostics, userAgent: navigator.userAgent };
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const stamp = this.diagnostics.generatedAt.replace(/[:.]/g, '-');
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `media-controller-diagnostics-${stamp}.json`;
+    link.click();
+    // Revoking right away can cancel the download before it starts
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  render() {
+    const { extensionVersion, protocolVersion, settings, generatedAt } = this.diagnostics;
+    this.summary.textContent = `Version ${extensionVersion}, protocol ${protocolVersion}. ` +
+      `Logging ${LEVEL_LABELS[settings.logLevel] || settings.logLevel}. ` +
+      `Updated ${new Date(generatedAt).toLocaleTimeString()}.`;
+
+    this.renderAgents();
+    this.renderSessions();
+    this.renderLogs();
+  }
+
+  renderAgents() {
+    const { agents, protocolVersion } = this.diagnostics;
+
+    this.fillTable('agentsBody', 'agentsEmpty', agents.map(agent => {
+      let status;
+      if (agent.agentVersion === protocolVersion) {
+        status = agent.announced ? 'Ready' : 'Ready (not announced)';
+      } else if (agent.agentVersion !== null) {
+        status = `Outdated (protocol ${agent.agentVersion})`;
+      } else {
+        status = 'Not responding';
+      }
+      if (agent.replacing) status += ', being replaced';
+
+      return [String(agent.tabId), this.pageCell(agent.title, agent.url), status, String(agent.sessionCount)];
+    }));
+  }
+
+  renderSessions() {
+    const { sessions, lastActiveSessionId, pinnedSessionId } = this.diagnostics;
+
+    this.fillTable('sessionsBody', 'sessionsEmpty', sessions.map(session => {
+      const { state } = session;
+      const flags = [state.paused ? 'Paused' : 'Playing'];
+      if (state.muted) flags.push('muted');
+      if (session.id === pinnedSessionId) flags.push('pinned');
+      else if (session.id === lastActiveSessionId) flags.push('shortcut target');
+
+      const duration = state.duration === null || state.duration === Infinity ? 'live' : this.formatTime(state.duration);
+      return [
+        session.id,
+        this.pageCell(session.mediaLabel ? `${session.title} (${session.mediaLabel})` : session.title, session.url),
+        flags.join(', '),
+        `${this.formatTime(state.currentTime)} / ${duration}`,
+        new Date(session.lastActiveAt).toLocaleTimeString()
+      ];
+    }));
+  }
+
+  renderLogs() {
+    if (!this.diagnostics) return;
+
+    const minimum = MediaLogger.LEVELS[this.levelFilter.value];
+    const logs = this.diagnostics.logs.filter(entry => MediaLogger.LEVELS[entry.level] >= minimum).reverse();
+
+    const rows = this.fillTable('logsBody', 'logsEmpty', logs.map(entry => [
+      new Date(entry.time).toLocaleTimeString(),
+      entry.level,
+      entry.source,
+      entry.category,
+      entry.message
+    ]));
+    rows.forEach((row, index) => row.classList.add(`level-${logs[index].level}`));
+
+    document.getElementById('logsEmpty').textContent = this.diagnostics.logs.length === 0
+      ? `Nothing logged yet. Logging is set to ${LEVEL_LABELS[this.diagnostics.settings.logLevel]}; choose more in the options to capture activity.`
+      : 'No entries at this level.';
+  }
+
+  // Title with the page address underneath
+  pageCell(title, url) {
+    const cell = document.createElement('div');
+    const titleEl = document.createElement('div');
+    titleEl.textContent = title || '';
+    const urlEl = document.createElement('div');
+    urlEl.className = 'url';
+    urlEl.textContent = url || '';
+    cell.append(titleEl, urlEl);
+    return cell;
+  }
+
+  // Replaces the table body with one row per entry of cells (text or elements); returns the rows
+  fillTable(bodyId, emptyId, rows) {
+    const body = document.getElementById(bodyId);
+    const elements = rows.map(cells => {
+      const tr = document.createElement('tr');
+      for (const cell of cells) {
+        const td = document.createElement('td');
+        if (typeof cell === 'string') {
+          td.textContent = cell;
+        } else {
+          td.append(cell);
+        }
+        tr.append(td);
+      }
+      return tr;
+    });
+
+    body.replaceChildren(...elements);
+    document.getElementById(emptyId).classList.toggle('hidden', rows.length > 0);
+    return elements;
+  }
+
+  formatTime(seconds) {
+    if (!seconds || isNaN(seconds)) return '0:00';
+    const m = Math.floor(seconds / 60);
+    const s = Math.floor(seconds % 60);
+    return `${m}:${s.toString().padStart(2, '0')}`;
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new DiagnosticsPage();
+});
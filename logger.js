@@ -0,0 +1,155 @@
+// Logger - Levelled, categorised logging shared by background, agent and extension pages. The level
+// and categories come from settings; entries that pass go to the console and to the background's
+// ring buffer, which the diagnostics page shows.
+(function(global) {
+  'use strict';
+
+  // Bump whenever the module's interface changes (see settings.js)
+  const VERSION = 1;
+
+  // Prevent multiple injections of the same version
+  if (global.MediaLogger && global.MediaLogger.VERSION === VERSION) {
+    return;
+  }
+
+  // Use browser API (Firefox) or chrome API (Chrome) for cross-compatibility
+  const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+  // Ordered by severity; each is also the console method used
+  const LEVELS = { debug: 0, info: 1, warn: 2, error: 3 };
+
+  // Warnings and errors are kept whatever their category
+  const ALWAYS_KEPT = LEVELS.warn;
+
+  // Characters kept of an entry's message; element dumps and session objects can be long
+  const MESSAGE_LIMIT = 1000;
+
+  const config = {
+    level: LEVELS[MediaSettings.DEFAULTS.logLevel],
+    categories: new Set(MediaSettings.DEFAULTS.logCategories)
+  };
+
+  function configure(values) {
+    if (values.logLevel !== undefined && values.logLevel in LEVELS) {
+      config.level = LEVELS[values.logLevel];
+    }
+    if (Array.isArray(values.logCategories)) {
+      config.categories = new Set(values.logCategories);
+    }
+  }
+
+  MediaSettings.load().then(configure);
+  MediaSettings.onChange(configure);
+
+  function isEnabled(category, level) {
+    const rank = LEVELS[level];
+    return rank >= config.level && (rank >= ALWAYS_KEPT || config.categories.has(category));
+  }
+
+  // Extension pages and agents hand entries to the background; the background keeps its own
+  function sendToBackground(entry) {
+    if (!global.MediaProtocol) return;
+    try {
+      browserAPI.runtime.sendMessage(global.MediaProtocol.create('LOG', { entry })).catch(() => {
+        // Nowhere to put it: the background is restarting or the extension was reloaded
+      });
+    } catch (error) {
+      // The extension was reloaded; this context can't reach the background any more
+    }
+  }
+
+  let sink = sendToBackground;
+
+  function setSink(callback) {
+    sink = callback;
+  }
+
+  function describe(value) {
+    if (typeof value === 'string') return value;
+    if (value === null || value === undefined) return String(value);
+    // Errors and DOMExceptions, including ones from other realms
+    if (typeof value.message === 'string' && typeof value.name === 'string') {
+      return `${value.name}: ${value.message}`;
+    }
+    if (value.nodeType === 1) {
+      return `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
+    }
+    if (typeof value === 'object') {
+      try {
+        return JSON.stringify(value);
+      } catch (error) {
+        return String(value);
+      }
+    }
+    return String(value);
+  }
+
+  function write(category, level, args) {
+    if (!isEnabled(category, level)) return;
+
+    console[level](`[${category}]`, ...args);
+
+    const message = args.map(describe).join(' ');
+    sink({
+      time: Date.now(),
+      level,
+      category,
+      message: message.length > MESSAGE_LIMIT ? `${message.slice(0, MESSAGE_LIMIT)}…` : message
+    });
+  }
+
+  // A logger for one category: log.debug(...), log.info(...), log.warn(...), log.error(...)
+  function create(category) {
+    return {
+      debug: (...args) => write(category, 'debug', args),
+      info: (...args) => write(category, 'info', args),
+      warn: (...args) => write(category, 'warn', args),
+      error: (...args) => write(category, 'error', args),
+      // For callers that would do extra work just to build the message
+      enabled: (level) => isEnabled(category, level)
+    };
+  }
+
+  // Fixed-size buffer of the newest entries; the oldest is overwritten once it's full
+  class RingBuffer {
+    constructor(capacity) {
+      this.capacity = capacity;
+      this.items = new Array(capacity);
+      this.start = 0;
+      this.size = 0;
+    }
+
+    push(item) {
+      this.items[(this.start + this.size) % this.capacity] = item;
+      if (this.size < this.capacity) {
+        this.size++;
+      } else {
+        this.start = (this.start + 1) % this.capacity;
+      }
+    }
+
+    // Oldest first
+    toArray() {
+      const result = [];
+      for (let i = 0; i < this.size; i++) {
+        result.push(this.items[(this.start + i) % this.capacity]);
+      }
+      return result;
+    }
+
+    clear() {
+      this.items = new Array(this.capacity);
+      this.start = 0;
+      this.size = 0;
+    }
+  }
+
+  global.MediaLogger = {
+    VERSION,
+    LEVELS,
+    create,
+    setSink,
+    RingBuffer
+  };
+
+})(globalThis);
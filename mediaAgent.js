@@ -5,260 +5,359 @@
   // Use browser API (Firefox) or chrome API (Chrome) for cross-compatibility
   const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
-  // Prevent multiple injections
-  if (window.hasMediaAgent) {
+  // Site adapter registry, injected ahead of this script by siteAdapters.js
+  const siteAdapters = window.MediaSiteAdapters;
+
+  // Message schema, injected ahead of this script by protocol.js. Kept from load time so an agent
+  // left over from an older version keeps speaking (and accepting) only its own version
+  const protocol = window.MediaProtocol;
+
+  const mediaLog = MediaLogger.create('media');
+  const adapterLog = MediaLogger.create('adapters');
+  const commandLog = MediaLogger.create('commands');
+  const messageLog = MediaLogger.create('messages');
+  const storageLog = MediaLogger.create('storage');
+
+  // storage.local key written by the background when volume is changed from the popup
+  const SITE_VOLUMES_KEY = 'siteVolumes';
+
+  // Playback rates outside this range are either rejected by Firefox or inaudible
+  const MIN_PLAYBACK_RATE = 0.25;
+  const MAX_PLAYBACK_RATE = 4;
+
+  // Events after which a tracked element's state is re-reported (timeupdate is throttled separately)
+  const MEDIA_EVENTS = [
+    'play', 'pause', 'durationchange', 'volumechange', 'ratechange', 'seeked', 'emptied', 'ended',
+    'enterpictureinpicture', 'leavepictureinpicture'
+  ];
+
+  // How long an element that was never in the document (new Audio()) may sit paused without a source
+  // before it's let go; one that ends is let go right away
+  const DETACHED_IDLE_MS = 30000;
+
+  // storage.local key holding { [resumeKey]: { time, duration, updatedAt } }, written by the background
+  const RESUME_POSITIONS_KEY = 'resumePositions';
+  // A saved position this close to the current one isn't worth offering
+  const RESUME_MIN_GAP = 10; // seconds
+
+  // schema.org types whose name/artist/image describe the media on the page
+  const SCHEMA_MEDIA_TYPES = [
+    'MusicRecording', 'AudioObject', 'VideoObject', 'PodcastEpisode', 'Episode', 'TVEpisode', 'Movie'
+  ];
+
+  // Events shared with mediaSessionHook.js, which records the page's Media Session handlers
+  const SESSION_ACTIONS_EVENT = 'gmc-media-session-actions';
+  const SESSION_QUERY_EVENT = 'gmc-media-session-query';
+  const SESSION_INVOKE_EVENT = 'gmc-media-session-invoke';
+  const SESSION_RESULT_EVENT = 'gmc-media-session-result';
+  // How long a page handler may take before the command is reported as unanswered
+  const SESSION_HANDLER_TIMEOUT_MS = 5000;
+
+  // Media id of a site adapter's virtual element; real elements get m1, m2, ...
+  const VIRTUAL_MEDIA_ID = 'virtual';
+
+  // Prevent multiple injections; an agent from another version is replaced, not joined
+  if (window.mediaAgentVersion === protocol.VERSION) {
     return;
   }
-  window.hasMediaAgent = true;
+  window.mediaAgentVersion = protocol.VERSION;
 
   class MediaAgent {
     constructor() {
-      this.mediaElement = null;
-      this.sessionId = null;
-      this.updateThrottle = null;
+      this.tracked = new Map(); // mediaId -> { element, listeners, updateThrottle, seekInProgress, detached }
+      this.mediaIds = new WeakMap(); // element -> mediaId, stable for the element's lifetime
+      this.nextMediaId = 1;
+      this.virtualElement = null;
+      this.mediaObserver = null;
+      this.observedRoots = new WeakSet(); // document and open shadow roots being watched
       this.frameId = 0;
       this.retryCount = 0;
       this.isVirtual = false;
+      this.siteVolumeApplied = new WeakSet(); // elements that already got the remembered volume
+      this.adapter = siteAdapters.match(window.location.hostname);
+      this.settings = { ...MediaSettings.DEFAULTS };
+      this.pageMetadataCache = { key: null, metadata: null }; // tag-based metadata per URL and title
+      this.sessionActions = new Set(); // Media Session actions the page registered handlers for
+      this.sessionRequests = new Map(); // requestId -> resolve() of an invoked handler's result
+      this.nextSessionRequestId = 1;
       
       this.init();
     }
 
     async init() {
-      // Get frame ID and tab ID from background
+      // Settings are injected ahead of this script by settings.js
+      MediaSettings.load().then(settings => Object.assign(this.settings, settings));
+      MediaSettings.onChange(changed => Object.assign(this.settings, changed));
+
+      // Learn this frame's id from the background (the request also announces the agent)
       try {
-        const response = await browserAPI.runtime.sendMessage({ type: 'GET_TAB_ID' });
-        const tabId = response?.tabId || 0;
-        this.frameId = window === window.top ? 0 : Math.floor(Math.random() * 1000000);
-        this.sessionId = `${tabId}:${this.frameId}`;
+        const response = await browserAPI.runtime.sendMessage(protocol.create('GET_TAB_ID'));
+        this.frameId = response?.frameId || 0;
       } catch (error) {
-        console.error('Error getting tab ID:', error);
-        this.sessionId = `unknown:${Math.floor(Math.random() * 1000000)}`;
+        messageLog.error('Error getting tab ID:', error);
       }
       
-      // Find and attach to media element
-      this.findAndAttachMedia();
-      
-      // Listen for dynamic media elements
+      this.listenForSessionActions();
+
+      // Listen for dynamic media elements (set up first: discovery registers shadow roots with it)
       this.observeMediaElements();
       
-      // Listen for control messages from background
+      // Find and track media elements
+      this.discoverMedia();
+      
+      // Listen for control messages from background. They're addressed to this frame with
+      // tabs.sendMessage's frameId option; the frameId check guards against broadcasts.
       browserAPI.runtime.onMessage.addListener((message, sender, sendResponse) => {
-        if (message.type === 'MEDIA_CONTROL' && 
-            (message.frameId === this.frameId || message.frameId === undefined)) {
-          this.handleControlCommand(message.cmd, message.params);
-          sendResponse({ success: true });
+        // The background lost track of this agent (restart, navigation within the page). Pings are
+        // answered whatever their version, so a background from another version can replace this agent
+        if (message && message.type === 'AGENT_PING') {
+          sendResponse({ ready: true, version: protocol.VERSION });
+          return;
+        }
+
+        const error = protocol.validate(message);
+        if (error) {
+          messageLog.warn('Ignoring message:', error);
+          sendResponse({ error });
+          return;
+        }
+
+        if (message.type === 'REQUEST_STATE' && message.frameId === this.frameId) {
+          // The background restarted with saved sessions; report what's actually tracked
+          const mediaIds = Array.from(this.tracked.keys());
+          for (const mediaId of mediaIds) {
+            this.sendUpdate(mediaId);
+          }
+          sendResponse({ mediaIds });
+          return;
+        }
+
+        if (message.type === 'MEDIA_CONTROL' && message.frameId === this.frameId) {
+          this.handleControlCommand(message.cmd, message.params, message.mediaId).then(sendResponse);
+          return true; // Answered once the command has run
         }
       });
 
-      console.log('MediaAgent initialized for frame', this.frameId);
+      mediaLog.info('Agent initialized for frame', this.frameId);
     }
 
-    findAndAttachMedia() {
-      console.log('MediaAgent: Searching for media elements...');
+    discoverMedia() {
+      mediaLog.debug('Searching for media elements...');
       
-      // First try standard media elements
-      let mediaElements = document.querySelectorAll('video, audio');
-      console.log('MediaAgent: Found', mediaElements.length, 'standard media elements');
+      // First try standard media elements, including those inside open shadow roots
+      const mediaElements = this.collectMediaElements(document);
+      mediaLog.debug('Found', mediaElements.length, 'standard media elements');
       
-      // Special handling for Spotify and other web players
-      if (mediaElements.length === 0 && this.isSpotify()) {
-        console.log('MediaAgent: Spotify detected, using virtual media element');
-        this.createSpotifyVirtualElement();
+      // Web players with a registered site adapter get a virtual media element
+      if (mediaElements.length === 0 && this.adapter) {
+        if (!this.isVirtual) {
+          adapterLog.info(this.adapter.name, 'detected, using virtual media element');
+          this.createVirtualElement();
+        }
         return;
       }
-      
-      let bestElement = null;
-      let bestScore = -1;
+
+      if (this.isVirtual) return;
 
       for (const element of mediaElements) {
-        const score = this.scoreMediaElement(element);
-        console.log('MediaAgent: Element score:', score, element);
-        if (score > bestScore) {
-          bestScore = score;
-          bestElement = element;
-        }
+        this.considerElement(element);
       }
 
-      if (bestElement && bestScore >= 0) {
-        console.log('MediaAgent: Attaching to best element:', bestElement, 'score:', bestScore);
-        this.attachToElement(bestElement);
-      } else if (this.retryCount < 5) {
+      if (this.tracked.size === 0 && this.retryCount < 5) {
         this.retryCount++;
-        console.log('MediaAgent: No suitable elements found, retrying in 2s (attempt', this.retryCount, ')');
-        setTimeout(() => this.findAndAttachMedia(), 2000);
+        mediaLog.debug('No suitable elements found, retrying in 2s (attempt', this.retryCount, ')');
+        setTimeout(() => this.discoverMedia(), 2000);
       }
     }
 
-    isSpotify() {
-      return window.location.hostname.includes('spotify.com');
+    // Track an element if it looks like real, audible media
+    considerElement(element) {
+      if (this.isVirtual) return;
+
+      const tracked = this.tracked.get(this.mediaIds.get(element));
+      if (tracked) {
+        // A detached element the page inserted after all is pruned like any other from now on
+        if (tracked.detached && element.isConnected) {
+          this.attachEntry(tracked);
+        }
+        return;
+      }
+
+      const score = this.scoreMediaElement(element);
+      mediaLog.debug('Element score:', score, element);
+
+      // Muted looping videos without controls are page decoration, not something to control
+      if (score < 0 || (element.muted && element.loop && !element.controls)) return;
+
+      this.trackElement(element);
     }
 
-    createSpotifyVirtualElement() {
-      console.log('MediaAgent: Creating Spotify virtual element');
+    createVirtualElement() {
+      adapterLog.debug('Creating virtual element for adapter', this.adapter.id);
       
+      const agent = this;
       const virtualElement = {
-        tagName: 'SPOTIFY_VIRTUAL',
+        tagName: 'VIRTUAL_MEDIA',
+        adapterId: this.adapter.id,
         paused: true,
-        muted: false,
-        volume: 1,
-        currentTime: 0,
         duration: 0,
         seekable: { length: 1 }, // Enable seeking
         readyState: 4,
         isVirtual: true,
+        _currentTime: 0,
+        _volume: 1,
+        _muted: false,
         
-        play: () => {
-          console.log('MediaAgent: Spotify virtual play');
-          this.spotifyAction('play');
+        play() {
+          adapterLog.debug('Virtual play');
+          agent.adapterAction('play');
           return Promise.resolve();
         },
         
-        pause: () => {
-          console.log('MediaAgent: Spotify virtual pause');
-          this.spotifyAction('pause');
+        pause() {
+          adapterLog.debug('Virtual pause');
+          agent.adapterAction('pause');
         },
         
-        // Add volume and seek support
         set currentTime(time) {
-          console.log('MediaAgent: Spotify seek to:', time);
-          this.spotifySeek(time);
+          agent.adapterSeek(time);
         },
         
         get currentTime() {
-          return this._currentTime || 0;
+          return this._currentTime;
         },
         
         set volume(vol) {
-          console.log('MediaAgent: Spotify volume set to:', vol);
-          this.spotifySetVolume(vol);
-          this._volume = vol;
+          agent.adapterSetVolume(vol);
         },
         
         get volume() {
-          return this._volume || 1;
+          return this._volume;
         },
         
         set muted(mute) {
-          console.log('MediaAgent: Spotify mute set to:', mute);
-          this.spotifySetMute(mute);
-          this._muted = mute;
+          agent.adapterSetMute(mute);
         },
 
+        get muted() {
+          return this._muted;
+        }
       };
 
       this.isVirtual = true;
-      this.attachToElement(virtualElement);
-      this.startSpotifyMonitoring();
+      this.virtualElement = virtualElement;
+      this.trackElement(virtualElement);
+      this.startAdapterMonitoring();
     }
 
-    spotifyAction(action) {
-      // Try keyboard space on focused element
+    dispatchClick(el) {
       try {
-        const activeEl = document.activeElement || document.body;
-        activeEl.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', code: 'Space', keyCode: 32, bubbles: true, cancelable: true }));
-        activeEl.dispatchEvent(new KeyboardEvent('keyup', { key: ' ', code: 'Space', keyCode: 32, bubbles: true, cancelable: true }));
-      } catch (e) {
-        console.warn('MediaAgent: keyboard event dispatch failed', e);
+        el.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, clientX: 0, clientY: 0 }));
+        el.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+        el.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
+        el.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+        return true;
+      } catch (err) {
+        try { el.click(); return true; } catch (e) { return false; }
       }
+    }
 
-      // Also try clicking play/pause buttons with robust dispatch
-      const selectors = [
-        '[data-testid="control-button-playpause"]',
-        '[aria-label*="Play"]',
-        '[aria-label*="Pause"]',
-        '.control-button',
-        '.player-controls button'
-      ];
+    // Dispatch Pointer + Mouse events at coordinates, for React-style sliders
+    dispatchPointerAndMouse(targetEl, x, y) {
+      try {
+        const pointerDown = new PointerEvent('pointerdown', { bubbles: true, cancelable: true, clientX: x, clientY: y, pointerId: 1, isPrimary: true });
+        const mouseDown = new MouseEvent('mousedown', { bubbles: true, cancelable: true, clientX: x, clientY: y });
+        targetEl.dispatchEvent(pointerDown);
+        targetEl.dispatchEvent(mouseDown);
+
+        const pointerMove = new PointerEvent('pointermove', { bubbles: true, cancelable: true, clientX: x, clientY: y, pointerId: 1, isPrimary: true });
+        const mouseMove = new MouseEvent('mousemove', { bubbles: true, cancelable: true, clientX: x, clientY: y });
+        targetEl.dispatchEvent(pointerMove);
+        targetEl.dispatchEvent(mouseMove);
+
+        const pointerUp = new PointerEvent('pointerup', { bubbles: true, cancelable: true, clientX: x, clientY: y, pointerId: 1, isPrimary: true });
+        const mouseUp = new MouseEvent('mouseup', { bubbles: true, cancelable: true, clientX: x, clientY: y });
+        targetEl.dispatchEvent(pointerUp);
+        targetEl.dispatchEvent(mouseUp);
+
+        // Also send a click for good measure
+        const click = new MouseEvent('click', { bubbles: true, cancelable: true, clientX: x, clientY: y });
+        targetEl.dispatchEvent(click);
+        return true;
+      } catch (err) {
+        adapterLog.warn('dispatchPointerAndMouse failed', err);
+        return false;
+      }
+    }
 
-      const dispatchClick = (el) => {
-        try {
-          el.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, clientX: 0, clientY: 0 }));
-          el.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
-          el.dispatchEvent(new MouseEvent('mouseup', { bubbles: true }));
-          el.dispatchEvent(new MouseEvent('click', { bubbles: true }));
-          return true;
-        } catch (err) {
-          try { el.click(); return true; } catch (e) { return false; }
-        }
-      };
+    // Click the first matching control; returns false when none was found
+    clickFirst(selectors) {
+      const button = siteAdapters.queryFirst(document, selectors);
+      if (!button) return false;
+      commandLog.debug('Clicking control', button);
+      return this.dispatchClick(button);
+    }
 
-      for (const selector of selectors) {
-        const button = document.querySelector(selector);
-        if (button) {
-          console.log('MediaAgent: Clicking Spotify button via selector:', selector, button);
-          if (dispatchClick(button)) return;
-        }
-      }
-
-      // Support next/previous actions
-      if (action === 'next' || action === 'previous') {
-        const nextSelectors = [
-          '[data-testid="control-button-skip-forward"]',
-          '[data-testid="control-button-next"]',
-          '[aria-label*="Next"]',
-          '.next-button',
-          '.spoticon-skip-forward'
-        ];
-        const prevSelectors = [
-          '[data-testid="control-button-skip-back"]',
-          '[data-testid="control-button-previous"]',
-          '[aria-label*="Previous"]',
-          '.prev-button',
-          '.spoticon-skip-back'
-        ];
-
-        const list = action === 'next' ? nextSelectors : prevSelectors;
-        for (const sel of list) {
-          const btn = document.querySelector(sel);
-          if (btn) {
-            console.log('MediaAgent: Clicking Spotify next/prev via selector:', sel, btn);
-            if (dispatchClick(btn)) return;
-          }
+    // Previous/next buttons: the site adapter's when it has them, generic guesses otherwise
+    trackSelectors(direction) {
+      const adapterSelectors = this.adapter && this.adapter.selectors[direction];
+      return adapterSelectors || siteAdapters.GENERIC_SELECTORS[direction];
+    }
+
+    // Returns false when the page has no control to act on
+    adapterAction(action) {
+      const { selectors, toggleKey } = this.adapter;
+
+      if (action === 'previous' || action === 'next') {
+        return this.clickFirst(selectors[action]);
+      }
+
+      // Play and pause share one button on every supported site; don't flip it the wrong way
+      const { paused } = siteAdapters.readState(this.adapter, document);
+      if ((action === 'play' && !paused) || (action === 'pause' && paused)) {
+        return true;
+      }
+
+      if (toggleKey) {
+        try {
+          const activeEl = document.activeElement || document.body;
+          activeEl.dispatchEvent(new KeyboardEvent('keydown', { key: toggleKey, code: 'Space', keyCode: 32, bubbles: true, cancelable: true }));
+          activeEl.dispatchEvent(new KeyboardEvent('keyup', { key: toggleKey, code: 'Space', keyCode: 32, bubbles: true, cancelable: true }));
+        } catch (e) {
+          adapterLog.warn('Keyboard event dispatch failed', e);
         }
       }
 
+      if (this.clickFirst(selectors.playPause)) return true;
+
       // As a last resort, attempt elementFromPoint near center of player controls
-      const playerArea = document.querySelector('[data-testid="now-playing-widget"]') || document.querySelector('.now-playing') || document.querySelector('.player-controls');
+      const playerArea = siteAdapters.queryFirst(document, selectors.playerArea);
       if (playerArea) {
         const rect = playerArea.getBoundingClientRect();
         const cx = rect.left + rect.width / 2;
         const cy = rect.top + rect.height / 2;
         const el = document.elementFromPoint(cx, cy);
         if (el) {
-          console.log('MediaAgent: Falling back to elementFromPoint click on', el);
-          dispatchClick(el);
+          adapterLog.debug('Falling back to elementFromPoint click on', el);
+          return this.dispatchClick(el);
         }
       }
+      return false;
     }
 
-    spotifySeek(time) {
-      console.log('MediaAgent: Spotify seek to time:', time);
+    // Returns false when the page's progress bar couldn't be found or operated
+    adapterSeek(time) {
+      adapterLog.debug('Adapter seek to time:', time);
       
-      if (!this.mediaElement || !this.mediaElement.duration) {
-        console.log('MediaAgent: Cannot seek - no duration available');
-        return;
+      if (!this.virtualElement || !this.virtualElement.duration) {
+        adapterLog.debug('Cannot seek - no duration available');
+        return false;
       }
       
       // Calculate percentage
-      const percentage = Math.max(0, Math.min(1, time / this.mediaElement.duration));
-      
-      // Try multiple selectors for Spotify's progress bar
-      const progressSelectors = [
-        '[data-testid="progress-bar"]',
-        '.progress-bar',
-        '.playback-bar__progress-time',
-        '.playback-bar .progress-bar',
-        '[role="progressbar"]'
-      ];
-      
-      let progressBar = null;
-      for (const selector of progressSelectors) {
-        progressBar = document.querySelector(selector);
-        if (progressBar) {
-          console.log('MediaAgent: Found progress bar with selector:', selector);
-          break;
-        }
-      }
+      const percentage = Math.max(0, Math.min(1, time / this.virtualElement.duration));
+      const { selectors } = this.adapter;
+      const progressBar = siteAdapters.queryFirst(document, selectors.progressBar);
       
       if (progressBar) {
         // Try different interaction methods
@@ -266,57 +365,29 @@
         const clickX = rect.left + (rect.width * percentage);
         const clickY = rect.top + (rect.height / 2);
 
-        console.log('MediaAgent: Attempting seek on progress bar at', (percentage * 100).toFixed(2) + '%', 'coords', clickX, clickY);
-
-        // Helper to dispatch Pointer + Mouse events at coordinates
-        const dispatchPointerAndMouse = (targetEl, x, y) => {
-          try {
-            const pointerDown = new PointerEvent('pointerdown', { bubbles: true, cancelable: true, clientX: x, clientY: y, pointerId: 1, isPrimary: true });
-            const mouseDown = new MouseEvent('mousedown', { bubbles: true, cancelable: true, clientX: x, clientY: y });
-            targetEl.dispatchEvent(pointerDown);
-            targetEl.dispatchEvent(mouseDown);
-
-            const pointerMove = new PointerEvent('pointermove', { bubbles: true, cancelable: true, clientX: x, clientY: y, pointerId: 1, isPrimary: true });
-            const mouseMove = new MouseEvent('mousemove', { bubbles: true, cancelable: true, clientX: x, clientY: y });
-            targetEl.dispatchEvent(pointerMove);
-            targetEl.dispatchEvent(mouseMove);
-
-            const pointerUp = new PointerEvent('pointerup', { bubbles: true, cancelable: true, clientX: x, clientY: y, pointerId: 1, isPrimary: true });
-            const mouseUp = new MouseEvent('mouseup', { bubbles: true, cancelable: true, clientX: x, clientY: y });
-            targetEl.dispatchEvent(pointerUp);
-            targetEl.dispatchEvent(mouseUp);
-
-            // Also send a click for good measure
-            const click = new MouseEvent('click', { bubbles: true, cancelable: true, clientX: x, clientY: y });
-            targetEl.dispatchEvent(click);
-            return true;
-          } catch (err) {
-            console.warn('MediaAgent: dispatchPointerAndMouse failed', err);
-            return false;
-          }
-        };
+        adapterLog.debug('Attempting seek on progress bar at', (percentage * 100).toFixed(2) + '%', 'coords', clickX, clickY);
 
         // Method A: dispatch events directly on the progressBar element
-        let success = dispatchPointerAndMouse(progressBar, clickX, clickY);
+        let success = this.dispatchPointerAndMouse(progressBar, clickX, clickY);
 
         // Method B: use elementFromPoint at the coordinates and click that node (some React handlers need the real target)
         if (!success) {
           const elAtPoint = document.elementFromPoint(clickX - window.scrollX, clickY - window.scrollY) || document.elementFromPoint(clickX, clickY);
           if (elAtPoint) {
-            console.log('MediaAgent: elementFromPoint target:', elAtPoint, 'dispatching events on it');
-            success = dispatchPointerAndMouse(elAtPoint, clickX, clickY);
+            adapterLog.debug('elementFromPoint target:', elAtPoint, 'dispatching events on it');
+            success = this.dispatchPointerAndMouse(elAtPoint, clickX, clickY);
             try { elAtPoint.click(); } catch (e) {}
           }
         }
 
         // Method C: set hidden slider value if present
         if (!success) {
-          const hiddenSlider = progressBar.querySelector('input[type="range"]') || document.querySelector('input[type="range"][data-testid*="progress"]');
+          const hiddenSlider = progressBar.querySelector('input[type="range"]') || siteAdapters.queryFirst(document, selectors.progressInput);
           if (hiddenSlider) {
             const min = parseFloat(hiddenSlider.min) || 0;
             const max = parseFloat(hiddenSlider.max) || 100;
             const newValue = min + (percentage * (max - min));
-            console.log('MediaAgent: Setting hidden slider value to:', newValue);
+            adapterLog.debug('Setting hidden slider value to:', newValue);
             hiddenSlider.value = newValue;
             hiddenSlider.dispatchEvent(new Event('input', { bubbles: true }));
             hiddenSlider.dispatchEvent(new Event('change', { bubbles: true }));
@@ -328,356 +399,230 @@
         if (!success) {
           const clickableChild = progressBar.querySelector('button, a, [role="button"]');
           if (clickableChild) {
-            console.log('MediaAgent: Clicking child element inside progress bar:', clickableChild);
-            try { clickableChild.click(); success = true; } catch (e) { console.warn('MediaAgent: child click failed', e); }
+            adapterLog.debug('Clicking child element inside progress bar:', clickableChild);
+            try { clickableChild.click(); success = true; } catch (e) { adapterLog.warn('Child click failed', e); }
           }
         }
 
         if (success) {
           // Update virtual element
-          this.mediaElement._currentTime = time;
-          console.log('MediaAgent: Seek dispatch attempted - success flag true');
+          this.virtualElement._currentTime = time;
+          adapterLog.debug('Seek dispatch attempted - success flag true');
         } else {
-          console.warn('MediaAgent: All seek methods failed - could not control progress bar');
+          adapterLog.warn('All seek methods failed - could not control progress bar');
         }
+        return success;
       } else {
-        console.log('MediaAgent: No progress bar found for seeking');
+        adapterLog.debug('No progress bar found for seeking');
+        return false;
       }
     }
 
-    spotifySetVolume(volume) {
-      console.log('MediaAgent: Spotify set volume to:', volume);
-      
-      // Try to find volume slider
-      const volumeSlider = document.querySelector('[data-testid="volume-bar"]') ||
-                          document.querySelector('.volume-slider') ||
-                          document.querySelector('.volume-bar input');
+    // Returns false when the page has no usable volume control or it didn't take the value
+    adapterSetVolume(volume) {
+      adapterLog.debug('Adapter set volume to:', volume);
       
-      if (volumeSlider) {
-        // If it's a range input, set value
-        if (volumeSlider.type === 'range') {
-          const min = parseFloat(volumeSlider.min) || 0;
-          const max = parseFloat(volumeSlider.max) || 100;
-          const newValue = min + (Math.max(0, Math.min(1, volume)) * (max - min));
-          console.log('MediaAgent: Setting range slider to', newValue);
-          volumeSlider.value = newValue;
-          volumeSlider.dispatchEvent(new Event('input', { bubbles: true }));
-          volumeSlider.dispatchEvent(new Event('change', { bubbles: true }));
-        } else {
-          // Try multiple interaction methods: click via elementFromPoint, pointer events
-          const rect = volumeSlider.getBoundingClientRect();
-          const clickX = rect.left + (rect.width * Math.max(0, Math.min(1, volume)));
-          const clickY = rect.top + (rect.height / 2);
-
-          const attemptClick = (el, x, y) => {
-            try {
-              el.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, clientX: x, clientY: y }));
-              el.dispatchEvent(new MouseEvent('mousedown', { bubbles: true, clientX: x, clientY: y }));
-              el.dispatchEvent(new MouseEvent('mousemove', { bubbles: true, clientX: x, clientY: y }));
-              el.dispatchEvent(new MouseEvent('mouseup', { bubbles: true, clientX: x, clientY: y }));
-              el.dispatchEvent(new MouseEvent('click', { bubbles: true, clientX: x, clientY: y }));
-              return true;
-            } catch (err) {
-              console.warn('MediaAgent: attemptClick failed for volume', err);
-              return false;
-            }
-          };
+      const level = Math.max(0, Math.min(1, volume));
+      const volumeSlider = siteAdapters.queryFirst(document, this.adapter.selectors.volumeBar);
+      if (!volumeSlider) {
+        adapterLog.debug('No volume control found');
+        return false;
+      }
 
-          let success = attemptClick(volumeSlider, clickX, clickY);
-          if (!success) {
-            const elAt = document.elementFromPoint(clickX - window.scrollX, clickY - window.scrollY) || document.elementFromPoint(clickX, clickY);
-            if (elAt) success = attemptClick(elAt, clickX, clickY);
-          }
+      if (volumeSlider.type === 'range') {
+        if (volumeSlider.disabled) return false;
+
+        const min = parseFloat(volumeSlider.min) || 0;
+        const max = parseFloat(volumeSlider.max) || 100;
+        const newValue = min + (level * (max - min));
+        adapterLog.debug('Setting range slider to', newValue);
+        volumeSlider.value = newValue;
+        volumeSlider.dispatchEvent(new Event('input', { bubbles: true }));
+        volumeSlider.dispatchEvent(new Event('change', { bubbles: true }));
+
+        // The input snaps to its step; anything further off means the page put its own value back
+        const step = parseFloat(volumeSlider.step) || 1;
+        if (Math.abs(parseFloat(volumeSlider.value) - newValue) > step) {
+          adapterLog.warn('Volume slider did not take the new value');
+          return false;
+        }
+      } else {
+        // Custom sliders only respond to clicks at a position along them, so they must be laid out
+        const rect = volumeSlider.getBoundingClientRect();
+        if (rect.width === 0) {
+          adapterLog.debug('Volume control is not visible');
+          return false;
         }
+
+        // Try multiple interaction methods: pointer events, then elementFromPoint
+        const clickX = rect.left + (rect.width * level);
+        const clickY = rect.top + (rect.height / 2);
+
+        let success = this.dispatchPointerAndMouse(volumeSlider, clickX, clickY);
+        if (!success) {
+          const elAt = document.elementFromPoint(clickX - window.scrollX, clickY - window.scrollY) || document.elementFromPoint(clickX, clickY);
+          if (elAt) success = this.dispatchPointerAndMouse(elAt, clickX, clickY);
+        }
+        if (!success) return false;
       }
 
       // Ensure virtual element state updated and notify popup
-      try {
-        if (this.mediaElement && this.mediaElement.isVirtual) {
-          this.mediaElement._volume = Math.max(0, Math.min(1, volume));
-          // Do not auto-toggle _muted here; reflect if volume zero
-          if (this.mediaElement._volume === 0) this.mediaElement._muted = true;
-          try { this.sendSpotifyUpdate(); } catch (e) { console.warn('sendSpotifyUpdate failed after spotifySetVolume', e); }
-        }
-      } catch (e) {
-        console.warn('MediaAgent: error updating virtual volume', e);
+      if (this.virtualElement) {
+        this.virtualElement._volume = level;
+        // Do not auto-toggle _muted here; reflect if volume zero
+        if (level === 0) this.virtualElement._muted = true;
+        try { this.sendAdapterUpdate(); } catch (e) { adapterLog.warn('sendAdapterUpdate failed after adapterSetVolume', e); }
       }
+      return true;
     }
 
-    spotifySetMute(muted) {
-      console.log('MediaAgent: Spotify set mute to:', muted);
+    // Returns false when the page has no mute button
+    adapterSetMute(muted) {
+      adapterLog.debug('Adapter set mute to:', muted);
       
-      // Try to find mute button
-      const muteButton = document.querySelector('[data-testid="volume-button"]') ||
-                        document.querySelector('[aria-label*="Mute"]') ||
-                        document.querySelector('[aria-label*="Unmute"]') ||
-                        document.querySelector('.volume-icon');
+      const muteButton = siteAdapters.queryFirst(document, this.adapter.selectors.muteButton);
+      if (!muteButton) {
+        adapterLog.debug('No mute button found');
+        return false;
+      }
 
-      // If we have a target mute state, determine current and only click if different
-      try {
-        const getCurrentMuted = () => {
-          try {
-            const volInput = document.querySelector('[data-testid="volume-bar"] input') || document.querySelector('.volume-bar input') || document.querySelector('input[type="range"][aria-label*="volume"]');
-            if (volInput) return parseFloat(volInput.value) === 0;
-            const aria = (muteButton && muteButton.getAttribute('aria-label') || '').toLowerCase();
-            if (aria.includes('unmute')) return true; // label shows action to unmute -> currently muted
-            if (aria.includes('mute')) return false; // label shows action to mute -> currently unmuted
-          } catch (e) { /* ignore */ }
-          return !!(this.mediaElement && this.mediaElement._muted);
-        };
+      // Only click when the page's mute state differs from the requested one
+      const detected = siteAdapters.readState(this.adapter, document);
+      const currentlyMuted = detected.volume === 0 || (detected.muted !== null ? detected.muted : !!this.virtualElement._muted);
+      if (typeof muted !== 'boolean' || currentlyMuted !== muted) {
+        try { muteButton.click(); } catch (e) { this.dispatchClick(muteButton); }
+      }
 
-        const currentlyMuted = getCurrentMuted();
-        if (typeof muted === 'boolean') {
-          if (currentlyMuted !== muted) {
-            if (muteButton) {
-              try { muteButton.click(); } catch(e) { try { muteButton.dispatchEvent(new MouseEvent('click', { bubbles: true })); } catch(_) {} }
-            }
-          }
-        } else {
-          // toggle
-          if (muteButton) {
-            try { muteButton.click(); } catch(e) { try { muteButton.dispatchEvent(new MouseEvent('click', { bubbles: true })); } catch(_) {} }
-          }
+      // After UI action, re-detect state and broadcast
+      setTimeout(() => {
+        try {
+          this.refreshVirtualState();
+          this.sendAdapterUpdate();
+        } catch (e) {
+          adapterLog.warn('Error re-detecting mute state after click', e);
         }
-
-        // After UI action, re-detect state and broadcast
-        setTimeout(() => {
-          try {
-            this.checkSpotifyState();
-            this.sendSpotifyUpdate();
-          } catch (e) {
-            console.warn('MediaAgent: error re-detecting spotify mute after click', e);
-          }
-        }, 150);
-      } catch (e) {
-        console.warn('MediaAgent: spotifySetMute failed', e);
-      }
+      }, 150);
+      return true;
     }
 
-    startSpotifyMonitoring() {
-      console.log('MediaAgent: Starting Spotify monitoring');
+    startAdapterMonitoring() {
+      adapterLog.debug('Starting adapter monitoring');
       
       // Monitor for play state changes
       setInterval(() => {
-        this.checkSpotifyState();
+        this.checkAdapterState();
       }, 1000);
       
       // Monitor for metadata changes
-      this.observeSpotifyChanges();
+      this.observeAdapterChanges();
     }
 
-    debugSpotifyTimeElements() {
-      console.log('=== Spotify Time Elements Debug ===');
-      
-      // Check all potential time elements
+    // Candidates for the adapter's time selectors, for writing or fixing an adapter
+    debugAdapterTimeElements() {
+      if (!adapterLog.enabled('debug')) return;
+
       const allTimeElements = document.querySelectorAll('[data-testid*="playback"], [data-testid*="time"], .time, .duration, .progress');
-      console.log('All potential time elements:', allTimeElements);
-      
-      allTimeElements.forEach((el, index) => {
-        console.log(`Element ${index}:`, {
-          selector: el.tagName + (el.id ? '#' + el.id : '') + (el.className ? '.' + el.className.replace(/\s+/g, '.') : ''),
-          testId: el.getAttribute('data-testid'),
-          ariaLabel: el.getAttribute('aria-label'),
-          textContent: el.textContent,
-          innerHTML: el.innerHTML
-        });
-      });
-      
-      // Check playback bar area
-      const playbackBar = document.querySelector('[data-testid*="playback"]') || document.querySelector('.playback-bar');
-      if (playbackBar) {
-        console.log('Playback bar found:', playbackBar);
-        const timeElements = playbackBar.querySelectorAll('*');
-        timeElements.forEach((el, index) => {
-          if (el.textContent && el.textContent.match(/\d+:\d+/)) {
-            console.log(`Time element in playback bar ${index}:`, el.textContent, el);
-          }
-        });
-      }
-      
-      console.log('=== End Debug ===');
+      const summary = Array.from(allTimeElements, el => ({
+        selector: el.tagName + (el.id ? '#' + el.id : '') + (el.className ? '.' + el.className.replace(/\s+/g, '.') : ''),
+        testId: el.getAttribute('data-testid'),
+        ariaLabel: el.getAttribute('aria-label'),
+        textContent: el.textContent
+      }));
+      adapterLog.debug('Potential time elements:', summary);
+    }
+
+    // Copy the page's player state onto the virtual element; returns the previous playing flag
+    refreshVirtualState() {
+      const element = this.virtualElement;
+      const wasPlaying = !element.paused;
+      const state = siteAdapters.readState(this.adapter, document);
+
+      element.paused = state.paused;
+      element._currentTime = state.currentTime;
+      element.duration = state.duration;
+      if (state.volume !== null) element._volume = state.volume;
+      if (state.muted !== null) element._muted = state.muted;
+
+      return wasPlaying;
     }
 
-    checkSpotifyState() {
+    checkAdapterState() {
       // Debug time elements on first run
       if (!this._debugged) {
         this._debugged = true;
-        this.debugSpotifyTimeElements();
+        this.debugAdapterTimeElements();
       }
       
-      // Check if music is playing by looking for pause button vs play button
-      const pauseButton = document.querySelector('[data-testid="control-button-playpause"][aria-label*="Pause"]');
-      const playButton = document.querySelector('[data-testid="control-button-playpause"][aria-label*="Play"]');
-      
-      const isPlaying = !!pauseButton;
-      const isPaused = !!playButton;
-      
-      // Get progress information with multiple selector attempts
-      const progressTime = document.querySelector('[data-testid="playback-position"]') ||
-                          document.querySelector('.playback-bar__progress-time') ||
-                          document.querySelector('.progress-time-elapsed') ||
-                          document.querySelector('[aria-label*="elapsed"]');
-                          
-      const durationTime = document.querySelector('[data-testid="playback-duration"]') ||
-                          document.querySelector('.playback-bar__duration') ||
-                          document.querySelector('.progress-time-remaining') ||
-                          document.querySelector('[aria-label*="duration"]');
-      
-      let currentTime = 0;
-      let duration = 0;
-      
-      if (progressTime && progressTime.textContent) {
-        currentTime = this.parseTimeString(progressTime.textContent);
-        console.log('MediaAgent: Found progress time:', progressTime.textContent, '=', currentTime, 'seconds');
-      } else {
-        console.log('MediaAgent: No progress time element found');
-      }
-      
-      if (durationTime && durationTime.textContent) {
-        duration = this.parseTimeString(durationTime.textContent);
-        console.log('MediaAgent: Found duration time:', durationTime.textContent, '=', duration, 'seconds');
-      } else {
-        console.log('MediaAgent: No duration time element found');
-      }
-      
-      if (this.mediaElement && this.mediaElement.isVirtual) {
-        const wasPlaying = !this.mediaElement.paused;
-        this.mediaElement.paused = isPaused;
-        this.mediaElement._currentTime = currentTime;
-        this.mediaElement.duration = duration;
-
-        // Try to detect volume/mute from page controls and sync virtual state
-        try {
-          const volInput = document.querySelector('[data-testid="volume-bar"] input') || document.querySelector('.volume-bar input') || document.querySelector('input[type="range"][aria-label*="volume"]');
-          if (volInput && typeof volInput.value !== 'undefined') {
-            const min = parseFloat(volInput.min) || 0;
-            const max = parseFloat(volInput.max) || 100;
-            const val = parseFloat(volInput.value);
-            const detectedVolume = (val - min) / (max - min || 1);
-            this.mediaElement._volume = Math.max(0, Math.min(1, detectedVolume));
-          }
-
-          const muteBtn = document.querySelector('[data-testid="volume-button"]') || document.querySelector('[aria-label*="Mute"]') || document.querySelector('[aria-label*="Unmute"]');
-          if (muteBtn) {
-            const aria = (muteBtn.getAttribute('aria-label') || '').toLowerCase();
-            // aria-label describes the action the button will perform when clicked.
-            // "Unmute" label means the player is currently muted (button will unmute it).
-            // "Mute" label means the player is currently unmuted (button will mute it).
-            if (aria.includes('unmute')) {
-              this.mediaElement._muted = true;
-            } else if (aria.includes('mute')) {
-              this.mediaElement._muted = false;
-            }
-          }
-        } catch (e) {
-          console.warn('MediaAgent: error detecting spotify volume/mute', e);
-        }
+      if (this.virtualElement) {
+        const wasPlaying = this.refreshVirtualState();
+        const isPlaying = !this.virtualElement.paused;
 
         // Send update if state changed or regularly for progress
         if (wasPlaying !== isPlaying || isPlaying) {
-          console.log('MediaAgent: Spotify state changed, playing:', isPlaying, 'progress:', currentTime, '/', duration, 'volume:', this.mediaElement._volume, 'muted:', this.mediaElement._muted);
-          this.sendSpotifyUpdate();
+          this.sendAdapterUpdate();
         }
       }
     }
 
-    parseTimeString(timeStr) {
-      // Parse time strings like "1:23", "0:45", or "1:23:45" to seconds
-      if (!timeStr) return 0;
-      
-      const cleanStr = timeStr.trim().replace(/[^\d:]/g, ''); // Remove non-digits and non-colons
-      const parts = cleanStr.split(':');
-      
-      if (parts.length === 2) {
-        // MM:SS format
-        const minutes = parseInt(parts[0], 10) || 0;
-        const seconds = parseInt(parts[1], 10) || 0;
-        return minutes * 60 + seconds;
-      } else if (parts.length === 3) {
-        // HH:MM:SS format
-        const hours = parseInt(parts[0], 10) || 0;
-        const minutes = parseInt(parts[1], 10) || 0;
-        const seconds = parseInt(parts[2], 10) || 0;
-        return hours * 3600 + minutes * 60 + seconds;
-      }
-      
-      console.log('MediaAgent: Could not parse time string:', timeStr);
-      return 0;
-    }
-
-    observeSpotifyChanges() {
+    observeAdapterChanges() {
       // Watch for DOM changes that indicate track changes
       const observer = new MutationObserver(() => {
-        if (this.mediaElement && this.mediaElement.isVirtual) {
-          this.sendSpotifyUpdate();
+        if (this.virtualElement) {
+          this.refreshVirtualState();
+          this.sendAdapterUpdate();
         }
       });
       
-      const trackInfo = document.querySelector('[data-testid="now-playing-widget"]') || 
-                        document.querySelector('.now-playing') ||
-                        document.body;
+      const trackInfo = siteAdapters.queryFirst(document, this.adapter.selectors.nowPlaying) || document.body;
       
       if (trackInfo) {
         observer.observe(trackInfo, { 
           childList: true, 
           subtree: true,
           attributes: true,
-          attributeFilter: ['aria-label']
+          attributeFilter: ['aria-label', 'class', 'title']
         });
       }
     }
 
-    sendSpotifyUpdate() {
-      // Get current track info
-      const trackName = document.querySelector('[data-testid="context-item-link"]')?.textContent ||
-                        document.querySelector('.track-info__name')?.textContent ||
-                        'Unknown Track';
-      
-      const artistName = document.querySelector('[data-testid="context-item-info-artist"]')?.textContent ||
-                         document.querySelector('.track-info__artists')?.textContent ||
-                         'Unknown Artist';
-      
-      const pauseButton = document.querySelector('[data-testid="control-button-playpause"][aria-label*="Pause"]');
-      const isPlaying = !!pauseButton;
-      
-      // Get progress info from virtual media element
-      let currentTime = 0;
-      let duration = 0;
-      let volume = 1;
-      let muted = false;
-      
-      if (this.mediaElement && this.mediaElement.isVirtual) {
-        currentTime = this.mediaElement._currentTime || 0;
-        duration = this.mediaElement.duration || 0;
-        volume = this.mediaElement._volume || 1;
-        muted = this.mediaElement._muted || false;
+    sendAdapterUpdate() {
+      const entry = this.tracked.get(VIRTUAL_MEDIA_ID);
+      if (entry && entry.seekInProgress) {
+        adapterLog.debug('Skipping adapter update while seek in progress');
+        return;
+      }
+
+      // The player bar isn't rendered yet (or on this page at all); nothing to report
+      if (!siteAdapters.queryFirst(document, this.adapter.selectors.playPause)) {
+        return;
       }
+
+      const metadata = siteAdapters.readMetadata(this.adapter, document);
+      const element = this.virtualElement;
       
       const sessionData = {
-        title: `${trackName} - ${artistName}`,
-        artworkUrl: null,
+        mediaId: VIRTUAL_MEDIA_ID,
+        title: metadata.title || 'Unknown Track',
+        artist: metadata.artist || null,
+        album: metadata.album || null,
+        artworkUrl: metadata.artworkUrl,
         state: {
-          paused: !isPlaying,
-          muted: muted,
-          volume: volume,
-          currentTime: currentTime,
-          duration: duration,
-          canSeek: duration > 0,
-          ended: false
+          paused: element.paused,
+          muted: element._muted,
+          volume: element._volume,
+          currentTime: element._currentTime,
+          duration: element.duration,
+          canSeek: element.duration > 0,
+          ended: false,
+          supportedActions: this.getSupportedActions(element)
         }
       };
 
-      if (this._seekInProgress) {
-        console.log('MediaAgent: Skipping Spotify update while seek in progress');
-        return;
-      }
-
-      console.log('MediaAgent: Sending Spotify update:', sessionData);
-      browserAPI.runtime.sendMessage({
-        type: 'SESSION_UPDATE',
+      adapterLog.debug('Sending adapter update:', sessionData);
+      browserAPI.runtime.sendMessage(protocol.create('SESSION_UPDATE', {
         data: sessionData
-      }).catch(error => {
-        console.error('Error sending session update:', error);
+      })).catch(error => {
+        messageLog.error('Error sending session update:', error);
       });
     }
 
@@ -699,49 +644,307 @@
       return score;
     }
 
-    attachToElement(element) {
-      this.detachFromElement();
-      this.mediaElement = element;
+    getMediaId(element) {
+      if (element.isVirtual) return VIRTUAL_MEDIA_ID;
+
+      let mediaId = this.mediaIds.get(element);
+      if (!mediaId) {
+        mediaId = `m${this.nextMediaId++}`;
+        this.mediaIds.set(element, mediaId);
+      }
+      return mediaId;
+    }
+
+    trackElement(element) {
+      const mediaId = this.getMediaId(element);
+      if (this.tracked.has(mediaId)) return;
+
+      const entry = {
+        element,
+        listeners: {},
+        updateThrottle: null,
+        seekInProgress: false,
+        detached: !element.isVirtual && !element.isConnected,
+        idleTimer: null, // set while a detached element sits paused without a source
+        resumeCheck: null, // null until the duration is known, then 'checking' | 'done'
+        resumeOffer: null // saved position offered to the user, in seconds
+      };
       
       if (!element.isVirtual) {
-        element.addEventListener('play', this.handleMediaEvent.bind(this));
-        element.addEventListener('pause', this.handleMediaEvent.bind(this));
-        element.addEventListener('timeupdate', this.handleTimeUpdate.bind(this));
-        element.addEventListener('durationchange', this.handleMediaEvent.bind(this));
-        element.addEventListener('volumechange', this.handleMediaEvent.bind(this));
-        element.addEventListener('seeked', this.handleMediaEvent.bind(this));
-        element.addEventListener('emptied', this.handleMediaEvent.bind(this));
-        element.addEventListener('ended', this.handleMediaEvent.bind(this));
+        const onMediaEvent = () => {
+          this.sendUpdate(mediaId);
+          this.checkDetachedDone(mediaId);
+        };
+        for (const type of MEDIA_EVENTS) {
+          entry.listeners[type] = onMediaEvent;
+        }
+        entry.listeners.timeupdate = () => this.handleTimeUpdate(mediaId);
+        // A new source in the same element gets its own resume check
+        entry.listeners.emptied = () => {
+          entry.resumeCheck = null;
+          entry.resumeOffer = null;
+          this.sendUpdate(mediaId);
+          this.checkDetachedDone(mediaId);
+        };
+
+        for (const [type, listener] of Object.entries(entry.listeners)) {
+          element.addEventListener(type, listener);
+        }
+      }
+
+      this.tracked.set(mediaId, entry);
+
+      // Virtual players keep their own volume, so only real elements get the remembered one
+      if (!element.isVirtual) {
+        this.applySiteVolume(element);
       }
 
-      this.sendUpdate();
-      console.log('MediaAgent attached to element:', element);
+      this.sendUpdate(mediaId);
+      mediaLog.info('Tracking element', mediaId, element);
     }
 
-    detachFromElement() {
-      if (this.mediaElement && !this.mediaElement.isVirtual) {
-        // Remove event listeners for real elements
-        this.mediaElement.removeEventListener('play', this.handleMediaEvent.bind(this));
-        this.mediaElement.removeEventListener('pause', this.handleMediaEvent.bind(this));
-        // ... other event listeners
+    untrackElement(mediaId) {
+      const entry = this.tracked.get(mediaId);
+      if (!entry) return;
+
+      for (const [type, listener] of Object.entries(entry.listeners)) {
+        entry.element.removeEventListener(type, listener);
       }
-      
-      this.mediaElement = null;
-      if (this.updateThrottle) {
-        clearTimeout(this.updateThrottle);
-        this.updateThrottle = null;
+      clearTimeout(entry.updateThrottle);
+      clearTimeout(entry.idleTimer);
+      this.tracked.delete(mediaId);
+      mediaLog.info('Stopped tracking element', mediaId);
+
+      browserAPI.runtime.sendMessage(protocol.create('SESSION_REMOVE', {
+        data: { mediaId }
+      })).catch(error => {
+        messageLog.error('Error sending session removal:', error);
+      });
+    }
+
+    // Resolve the element a command addresses; commands without a mediaId go to the best element
+    resolveTarget(mediaId) {
+      if (mediaId !== undefined) {
+        const entry = this.tracked.get(mediaId);
+        return entry ? { mediaId, entry } : null;
+      }
+
+      let best = null;
+      let bestScore = -Infinity;
+      for (const [id, entry] of this.tracked) {
+        const score = entry.element.isVirtual ? Infinity : this.scoreMediaElement(entry.element);
+        if (score > bestScore) {
+          bestScore = score;
+          best = { mediaId: id, entry };
+        }
+      }
+      return best;
+    }
+
+    async applySiteVolume(element) {
+      // Re-attaching to the same element must not undo volume changes made on the page since
+      if (this.siteVolumeApplied.has(element)) return;
+      this.siteVolumeApplied.add(element);
+
+      try {
+        const stored = await browserAPI.storage.local.get(SITE_VOLUMES_KEY);
+        const saved = (stored[SITE_VOLUMES_KEY] || {})[window.location.hostname];
+        if (!saved || !this.tracked.has(this.mediaIds.get(element))) return;
+
+        mediaLog.debug('Applying remembered volume for', window.location.hostname, saved);
+        if (typeof saved.volume === 'number') element.volume = saved.volume;
+        if (typeof saved.muted === 'boolean') element.muted = saved.muted;
+      } catch (error) {
+        storageLog.error('Error applying remembered site volume:', error);
+      }
+    }
+
+    // The hook script reports the page's handlers as they change; ask once for the ones
+    // registered before this agent arrived. Pages the hook never ran in stay silent.
+    listenForSessionActions() {
+      document.addEventListener(SESSION_ACTIONS_EVENT, (event) => {
+        let actions;
+        try {
+          actions = JSON.parse(event.detail);
+        } catch (error) {
+          return;
+        }
+        if (!Array.isArray(actions)) return;
+
+        this.sessionActions = new Set(actions);
+        for (const mediaId of this.tracked.keys()) {
+          this.sendUpdate(mediaId);
+        }
+      });
+
+      document.addEventListener(SESSION_RESULT_EVENT, (event) => {
+        let result;
+        try {
+          result = JSON.parse(event.detail);
+        } catch (error) {
+          return;
+        }
+
+        const resolve = result && this.sessionRequests.get(result.requestId);
+        if (resolve) resolve(result);
+      });
+
+      document.dispatchEvent(new CustomEvent(SESSION_QUERY_EVENT));
+    }
+
+    // Returns false when the page has no handler for the action, otherwise a promise of
+    // { ok: true } or { ok: false, error } once the hook reports how the handler went
+    invokeSessionAction(action, details = {}) {
+      if (!this.sessionActions.has(action)) return false;
+
+      const requestId = this.nextSessionRequestId++;
+      commandLog.debug('Invoking page Media Session handler', action, details);
+
+      const result = new Promise((resolve) => {
+        const timer = setTimeout(() => resolve({ ok: false, timedOut: true }), SESSION_HANDLER_TIMEOUT_MS);
+        this.sessionRequests.set(requestId, (reply) => {
+          clearTimeout(timer);
+          resolve(reply);
+        });
+      }).then((reply) => {
+        this.sessionRequests.delete(requestId);
+        if (reply.ok) return { ok: true };
+
+        if (reply.timedOut) {
+          commandLog.warn('Page Media Session handler did not finish:', action);
+          return { ok: false, error: "The page's player did not respond" };
+        }
+        commandLog.warn('Page Media Session handler failed:', action, reply.error);
+        return { ok: false, error: "The page's player reported an error" };
+      });
+
+      document.dispatchEvent(new CustomEvent(SESSION_INVOKE_EVENT, {
+        detail: JSON.stringify({ requestId, action, ...details })
+      }));
+      return result;
+    }
+
+    // Page handlers drive the page's own notion of "the" player. Use them for a site adapter's
+    // player or when the frame has a single session; with several, control the element itself.
+    usesSessionHandlers(mediaId) {
+      return mediaId === VIRTUAL_MEDIA_ID || this.tracked.size === 1;
+    }
+
+    // Returns false when no page handler takes the command, otherwise the handler's pending result
+    invokeSessionHandlerFor(cmd, params, element) {
+      switch (cmd) {
+        case 'toggle':
+          return this.invokeSessionAction(element.paused ? 'play' : 'pause');
+
+        case 'play':
+        case 'pause':
+          return this.invokeSessionAction(cmd);
+
+        case 'seek': {
+          const delta = params.delta || 0;
+          const handled = delta >= 0
+            ? this.invokeSessionAction('seekforward', { seekOffset: delta })
+            : this.invokeSessionAction('seekbackward', { seekOffset: -delta });
+          if (handled || !Number.isFinite(element.duration)) return handled;
+
+          const seekTime = Math.max(0, Math.min(element.duration, element.currentTime + delta));
+          return this.invokeSessionAction('seekto', { seekTime, fastSeek: false });
+        }
+
+        case 'setTime':
+          return params.time !== undefined &&
+            this.invokeSessionAction('seekto', { seekTime: params.time, fastSeek: false });
+
+        case 'previousTrack':
+          return this.invokeSessionAction('previoustrack');
+
+        case 'nextTrack':
+          return this.invokeSessionAction('nexttrack');
+
+        case 'skipAd':
+          return this.invokeSessionAction('skipad');
+
+        default:
+          return false;
       }
     }
 
+    // Actions the popup can offer for this media: the page's handlers plus what the element
+    // or the DOM fallbacks can do themselves
+    getSupportedActions(element) {
+      const supported = new Set(this.sessionActions);
+      const canSeek = element.isVirtual ? element.duration > 0 : element.seekable && element.seekable.length > 0;
+
+      supported.add('play');
+      supported.add('pause');
+      if (canSeek) {
+        supported.add('seekto');
+        supported.add('seekforward');
+        supported.add('seekbackward');
+      }
+      if (siteAdapters.queryFirst(document, this.trackSelectors('previous'))) supported.add('previoustrack');
+      if (siteAdapters.queryFirst(document, this.trackSelectors('next'))) supported.add('nexttrack');
+
+      return Array.from(supported);
+    }
+
+    // Key a position is saved under: the media file's own URL when it has one, otherwise the
+    // page's canonical URL (blob: sources from streaming players change on every load)
+    getResumeKey(element) {
+      const src = element.currentSrc || '';
+      if (/^https?:/.test(src)) return src.split('#')[0];
+
+      const canonical = document.querySelector('link[rel="canonical"]');
+      return (canonical && canonical.href ? canonical.href : window.location.href).split('#')[0];
+    }
+
+    isResumeEligible(element) {
+      return this.settings.resumePositions !== 'off' &&
+        Number.isFinite(element.duration) &&
+        element.duration >= this.settings.resumeMinMinutes * 60;
+    }
+
+    // Once per source: look up a saved position and seek to it or offer it, per the settings
+    async checkResumePosition(mediaId, resumeKey) {
+      const entry = this.tracked.get(mediaId);
+      entry.resumeCheck = 'checking';
+
+      try {
+        const stored = await browserAPI.storage.local.get(RESUME_POSITIONS_KEY);
+        const saved = (stored[RESUME_POSITIONS_KEY] || {})[resumeKey];
+        const element = entry.element;
+
+        // A different duration means the key now points at other media (e.g. a stale canonical link)
+        if (saved && Math.abs(saved.duration - element.duration) < 2 &&
+            saved.time > element.currentTime + RESUME_MIN_GAP) {
+          if (this.settings.resumePositions === 'auto') {
+            mediaLog.info('Resuming', mediaId, 'at', saved.time);
+            element.currentTime = saved.time;
+          } else {
+            entry.resumeOffer = saved.time;
+          }
+        }
+      } catch (error) {
+        storageLog.error('Error reading resume position:', error);
+      }
+
+      entry.resumeCheck = 'done';
+      this.sendUpdate(mediaId);
+    }
+
     observeMediaElements() {
-      const observer = new MutationObserver((mutations) => {
+      this.mediaObserver = new MutationObserver((mutations) => {
         let foundNewMedia = false;
+        let removedNodes = false;
         
         for (const mutation of mutations) {
           if (mutation.type === 'childList') {
+            if (mutation.removedNodes.length > 0) removedNodes = true;
+
             for (const node of mutation.addedNodes) {
               if (node.nodeType === Node.ELEMENT_NODE) {
-                if (node.matches('video, audio') || node.querySelector('video, audio')) {
+                // Also walks (and starts observing) any open shadow roots inside the new subtree
+                if (node.matches('video, audio') || this.collectMediaElements(node).length > 0) {
                   foundNewMedia = true;
                   break;
                 }
@@ -750,46 +953,292 @@
           }
         }
 
+        if (removedNodes) {
+          this.pruneDisconnected();
+        }
+
         if (foundNewMedia && !this.isVirtual) {
-          setTimeout(() => this.findAndAttachMedia(), 100);
+          setTimeout(() => this.discoverMedia(), 100);
         }
       });
 
-      observer.observe(document.body, {
+      this.observeRoot(document);
+      this.hookPageMethods();
+    }
+
+    // Watch a document or open shadow root for added media and for media that starts loading later
+    observeRoot(root) {
+      if (this.observedRoots.has(root)) return;
+      this.observedRoots.add(root);
+
+      this.mediaObserver.observe(root, {
         childList: true,
         subtree: true
       });
+
+      // Elements skipped at discovery (not loaded yet) get another look once they load or play.
+      // Media events don't bubble, but they do pass through the capture phase of their own root.
+      for (const type of ['loadedmetadata', 'play']) {
+        root.addEventListener(type, (event) => {
+          if (event.target instanceof HTMLMediaElement) {
+            this.considerElement(event.target);
+          }
+        }, true);
+      }
+    }
+
+    // Media elements in the light DOM and every open shadow root beneath it
+    collectMediaElements(root, found = []) {
+      found.push(...root.querySelectorAll('video, audio'));
+
+      for (const el of root.querySelectorAll('*')) {
+        if (el.shadowRoot) {
+          this.observeRoot(el.shadowRoot);
+          this.collectMediaElements(el.shadowRoot, found);
+        }
+      }
+
+      return found;
+    }
+
+    // Web components may attach their shadow root after insertion, and players built on `new Audio()`
+    // never insert their element at all. Neither is visible to the MutationObserver, so wrap the
+    // page's attachShadow() and play(). This relies on Firefox's Xray waivers (wrappedJSObject /
+    // exportFunction); elsewhere only the observer and capture listeners apply.
+    hookPageMethods() {
+      const pageWindow = window.wrappedJSObject;
+      if (!pageWindow || typeof exportFunction !== 'function') return;
+
+      const agent = this;
+
+      try {
+        const elementProto = pageWindow.Element.prototype;
+        const originalAttachShadow = elementProto.attachShadow;
+        exportFunction(function(init) {
+          const shadowRoot = originalAttachShadow.call(this, init);
+          const host = this;
+          // Let the component populate its root first
+          setTimeout(() => {
+            if (host.shadowRoot) {
+              agent.observeRoot(host.shadowRoot);
+              if (agent.collectMediaElements(host.shadowRoot).length > 0) agent.discoverMedia();
+            }
+          }, 0);
+          return shadowRoot;
+        }, elementProto, { defineAs: 'attachShadow' });
+
+        const mediaProto = pageWindow.HTMLMediaElement.prototype;
+        const originalPlay = mediaProto.play;
+        exportFunction(function() {
+          const result = originalPlay.call(this);
+          if (!this.isConnected) {
+            agent.considerElement(this);
+          }
+          return result;
+        }, mediaProto, { defineAs: 'play' });
+      } catch (error) {
+        mediaLog.warn('Could not hook page media methods', error);
+      }
+    }
+
+    // Elements that were never in the document (new Audio()) can't be pruned when removed, so they're
+    // let go once they're done: when they end, or after sitting paused without a source
+    checkDetachedDone(mediaId) {
+      const entry = this.tracked.get(mediaId);
+      if (!entry || !entry.detached) return;
+
+      if (!entry.element.isConnected && entry.element.ended) {
+        this.untrackElement(mediaId);
+        return;
+      }
+
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+      if (this.isIdleDetached(entry)) {
+        entry.idleTimer = setTimeout(() => {
+          if (this.isIdleDetached(entry)) this.untrackElement(mediaId);
+        }, DETACHED_IDLE_MS);
+      }
+    }
+
+    isIdleDetached(entry) {
+      const { element } = entry;
+      return entry.detached && !element.isConnected && element.paused && !(element.currentSrc || element.src);
+    }
+
+    attachEntry(entry) {
+      entry.detached = false;
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+
+    // Elements still detached stay tracked until checkDetachedDone() lets them go
+    pruneDisconnected() {
+      for (const [mediaId, entry] of this.tracked) {
+        if (!entry.element.isVirtual && !entry.detached && !entry.element.isConnected) {
+          this.untrackElement(mediaId);
+        }
+      }
+    }
+
+    handleTimeUpdate(mediaId) {
+      const entry = this.tracked.get(mediaId);
+      if (!entry || entry.updateThrottle) return;
+
+      entry.updateThrottle = setTimeout(() => {
+        entry.updateThrottle = null;
+        this.sendUpdate(mediaId);
+      }, this.settings.progressThrottleMs);
+    }
+
+    // Metadata from the page's Media Session, falling back field by field to schema.org and
+    // Open Graph tags, then to the cleaned-up document title
+    readMetadata() {
+      const page = this.readPageMetadata();
+      const session = navigator.mediaSession && navigator.mediaSession.metadata;
+      if (!session) return page;
+
+      return {
+        title: session.title || page.title,
+        artist: session.artist || page.artist,
+        album: session.album || page.album,
+        artworkUrl: this.pickLargestArtwork(session.artwork) || page.artworkUrl
+      };
+    }
+
+    // Entries list sizes like "96x96 512x512"; "any" is a scalable image
+    pickLargestArtwork(artwork) {
+      if (!artwork || artwork.length === 0) return null;
+
+      let best = null;
+      let bestArea = -1;
+      for (const image of artwork) {
+        let area = 0;
+        for (const size of (image.sizes || '').toLowerCase().split(/\s+/)) {
+          if (size === 'any') {
+            area = Infinity;
+          } else {
+            const match = /^(\d+)x(\d+)$/.exec(size);
+            if (match) area = Math.max(area, match[1] * match[2]);
+          }
+        }
+        if (area > bestArea) {
+          best = image.src;
+          bestArea = area;
+        }
+      }
+      return best;
+    }
+
+    // Tags only change on navigation or title changes, so the parse is cached on both
+    readPageMetadata() {
+      const key = `${window.location.href}\n${document.title}`;
+      if (this.pageMetadataCache.key === key) return this.pageMetadataCache.metadata;
+
+      const schema = this.readSchemaMetadata();
+      const meta = (name) => {
+        const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+        return el && el.content ? el.content.trim() : null;
+      };
+
+      const metadata = {
+        title: schema.title || meta('og:title') || meta('twitter:title') || this.cleanDocumentTitle(document.title, meta('og:site_name')),
+        artist: schema.artist || null,
+        album: schema.album || null,
+        artworkUrl: schema.artworkUrl || meta('og:image') || meta('twitter:image') || null
+      };
+
+      this.pageMetadataCache = { key, metadata };
+      return metadata;
     }
 
-    handleMediaEvent() {
-      if (!this.isVirtual) {
-        this.sendUpdate();
+    // First schema.org media object in the page's JSON-LD blocks
+    readSchemaMetadata() {
+      const nameOf = (value) => {
+        const first = Array.isArray(value) ? value[0] : value;
+        if (!first) return null;
+        return typeof first === 'string' ? first : first.name || null;
+      };
+      const urlOf = (value) => {
+        const first = Array.isArray(value) ? value[0] : value;
+        if (!first) return null;
+        return typeof first === 'string' ? first : first.url || first.contentUrl || null;
+      };
+
+      for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+        let data;
+        try {
+          data = JSON.parse(script.textContent);
+        } catch (e) {
+          continue; // Malformed blocks are common; skip them
+        }
+
+        const nodes = [].concat(data).flatMap(node => (node && node['@graph']) || [node]);
+        for (const node of nodes) {
+          const types = [].concat(node && node['@type']);
+          if (!types.some(type => SCHEMA_MEDIA_TYPES.includes(type))) continue;
+
+          return {
+            title: node.name || null,
+            artist: nameOf(node.byArtist) || nameOf(node.author) || nameOf(node.partOfSeries),
+            album: nameOf(node.inAlbum),
+            artworkUrl: urlOf(node.image) || urlOf(node.thumbnailUrl)
+          };
+        }
       }
+
+      return {};
     }
 
-    handleTimeUpdate() {
-      if (this.updateThrottle || this.isVirtual) return;
+    // Drop unread counters ("(3) "), play indicators and a trailing site name ("... - YouTube")
+    cleanDocumentTitle(title, siteName) {
+      let cleaned = (title || '').replace(/^\(\d+\+?\)\s*/, '').replace(/^[▶►]\s*/, '').trim();
+
+      const match = /^(.*\S)\s+[-–—|·•]\s+([^-–—|·•]+)$/.exec(cleaned);
+      if (match) {
+        const suffix = match[2].trim().toLowerCase();
+        const compact = suffix.replace(/\s+/g, '');
+        const isSiteName = (siteName && suffix === siteName.toLowerCase()) ||
+          (compact.length >= 3 && window.location.hostname.toLowerCase().includes(compact));
+        if (isSiteName) cleaned = match[1];
+      }
 
-      this.updateThrottle = setTimeout(() => {
-        this.sendUpdate();
-        this.updateThrottle = null;
-      }, 250);
+      return cleaned || null;
     }
 
-    sendUpdate() {
-      if (!this.mediaElement) return;
+    // Short description telling several players on one page apart
+    getMediaLabel(element) {
+      const label = element.getAttribute('aria-label') || element.getAttribute('title');
+      if (label && label.trim()) return label.trim();
 
-      if (this._seekInProgress) {
-        console.log('MediaAgent: Skipping generic sendUpdate while seek in progress');
+      try {
+        const src = element.currentSrc || element.src;
+        if (src && !src.startsWith('blob:')) {
+          const fileName = new URL(src).pathname.split('/').pop();
+          if (fileName) return decodeURIComponent(fileName);
+        }
+      } catch (e) {
+        // Unparseable source; fall back to the element kind
+      }
+
+      return element.tagName === 'VIDEO' ? 'Video' : 'Audio';
+    }
+
+    sendUpdate(mediaId) {
+      const entry = this.tracked.get(mediaId);
+      if (!entry) return;
+
+      if (entry.seekInProgress) {
+        mediaLog.debug('Skipping generic sendUpdate while seek in progress');
         return;
       }
 
-      if (this.isVirtual) {
-        this.sendSpotifyUpdate();
+      if (entry.element.isVirtual) {
+        this.sendAdapterUpdate();
         return;
       }
 
-      const element = this.mediaElement;
+      const element = entry.element;
       const state = {
         paused: element.paused,
         muted: element.muted,
@@ -797,54 +1246,140 @@
         currentTime: element.currentTime || 0,
         duration: element.duration || 0,
         canSeek: element.seekable && element.seekable.length > 0,
-        ended: element.ended
+        ended: element.ended,
+        playbackRate: element.playbackRate,
+        isVideo: element.tagName === 'VIDEO',
+        canPictureInPicture: this.canPictureInPicture(element),
+        inPictureInPicture: !!document.pictureInPictureElement && document.pictureInPictureElement === element
       };
 
-      let title = document.title;
-      let artworkUrl = null;
-
-      if (navigator.mediaSession && navigator.mediaSession.metadata) {
-        const metadata = navigator.mediaSession.metadata;
-        title = metadata.title || title;
-        if (metadata.artwork && metadata.artwork.length > 0) {
-          artworkUrl = metadata.artwork[0].src;
+      // Saved positions: checked once the duration is known; reported for saving afterwards,
+      // but not while an offer is pending (that would overwrite the offered position)
+      let resumeKey = null;
+      if (this.isResumeEligible(element)) {
+        if (!entry.resumeCheck) {
+          this.checkResumePosition(mediaId, this.getResumeKey(element));
+        } else if (entry.resumeCheck === 'done' && !entry.resumeOffer) {
+          resumeKey = this.getResumeKey(element);
         }
       }
 
-      const sessionData = { title, artworkUrl, state };
+      // Playing up to the offered position answers the offer
+      if (entry.resumeOffer !== null && state.currentTime >= entry.resumeOffer - 1) {
+        entry.resumeOffer = null;
+      }
+      state.resumeAt = entry.resumeOffer;
+      state.supportedActions = this.getSupportedActions(element);
+
+      const { title, artist, album, artworkUrl } = this.readMetadata();
+
+      const sessionData = {
+        mediaId,
+        mediaLabel: this.getMediaLabel(element),
+        title,
+        artist,
+        album,
+        artworkUrl,
+        resumeKey,
+        state
+      };
 
-      browserAPI.runtime.sendMessage({
-        type: 'SESSION_UPDATE',
+      browserAPI.runtime.sendMessage(protocol.create('SESSION_UPDATE', {
         data: sessionData
-      }).catch(error => {
-        console.error('Error sending session update:', error);
+      })).catch(error => {
+        messageLog.error('Error sending session update:', error);
       });
     }
 
-    handleControlCommand(cmd, params = {}) {
-      console.log('MediaAgent: handleControlCommand called:', cmd, params, 'mediaElement present:', !!this.mediaElement, 'isVirtual:', this.mediaElement?.isVirtual);
-      if (!this.mediaElement) {
-        console.warn('No media element for control command:', cmd);
+    // Firefox only offers its own PiP toggle; the web API exists in other engines or behind a pref
+    canPictureInPicture(element) {
+      return element.tagName === 'VIDEO' &&
+        document.pictureInPictureEnabled === true &&
+        typeof element.requestPictureInPicture === 'function' &&
+        !element.disablePictureInPicture;
+    }
+
+    async togglePictureInPicture(element) {
+      if (document.pictureInPictureElement === element) {
+        await document.exitPictureInPicture();
+      } else if (this.canPictureInPicture(element)) {
+        await element.requestPictureInPicture();
+      } else {
+        throw new Error('Picture-in-Picture is not available here');
+      }
+    }
+
+    // Errors thrown from here are shown to the user as they are
+    async playElement(element) {
+      if (element.isVirtual) {
+        if (!this.adapterAction('play')) {
+          throw new Error("Couldn't find the player's play button");
+        }
+        return;
+      }
+
+      try {
+        await element.play();
+      } catch (error) {
+        // A later pause() or source change interrupted it; that command reports its own result
+        if (error.name === 'AbortError') return;
+        // Autoplay policy: the page hasn't had the user interaction it needs to play
+        if (error.name === 'NotAllowedError') {
+          throw new Error('The site blocked playback');
+        }
+        throw new Error(`Playback failed: ${error.message}`);
+      }
+    }
+
+    pauseElement(element) {
+      if (element.isVirtual) {
+        if (!this.adapterAction('pause')) {
+          throw new Error("Couldn't find the player's pause button");
+        }
         return;
       }
+      element.pause();
+    }
+
+    // Resolves with { ok: true }, or { ok: false, error } with a message for the popup
+    async handleControlCommand(cmd, params = {}, requestedMediaId) {
+      const target = this.resolveTarget(requestedMediaId);
+      commandLog.debug('handleControlCommand called:', cmd, params, 'target:', target?.mediaId);
+      if (!target) {
+        commandLog.warn('No media element for control command:', cmd, requestedMediaId);
+        return { ok: false, error: 'The media is no longer on the page' };
+      }
 
-      const element = this.mediaElement;
+      const { mediaId, entry } = target;
+      const element = entry.element;
+
+      // The page's own Media Session handlers know about its playlist, ads and custom player
+      // logic; guessed DOM clicks and direct element control are the fallback
+      const handled = this.usesSessionHandlers(mediaId) && this.invokeSessionHandlerFor(cmd, params, element);
+      if (handled) {
+        return handled;
+      }
 
       try {
         switch (cmd) {
           case 'toggle':
-            if (element.isVirtual) {
-              if (element.paused) {
-                element.play();
-              } else {
-                element.pause();
-              }
+            if (element.paused) {
+              await this.playElement(element);
             } else {
-              if (element.paused) {
-                element.play().catch(error => console.error('Play failed:', error));
-              } else {
-                element.pause();
-              }
+              this.pauseElement(element);
+            }
+            break;
+
+          // Idempotent variants for fan-out commands (pause all, solo)
+          case 'play':
+            if (element.paused) {
+              await this.playElement(element);
+            }
+            break;
+
+          case 'pause':
+            if (!element.paused) {
+              this.pauseElement(element);
             }
             break;
 
@@ -853,7 +1388,7 @@
               try {
                 const delta = params.delta || 0;
                 const target = Math.max(0, Math.min(element.duration || Infinity, element.currentTime + delta));
-                console.log('MediaAgent: seek delta', delta, 'target time', target);
+                commandLog.debug('Seek delta', delta, 'target time', target);
 
                 if (typeof element.fastSeek === 'function') {
                   try { element.fastSeek(target); } catch (e) { element.currentTime = target; }
@@ -868,11 +1403,14 @@
                   el.addEventListener('seeked', onSeeked);
                   setTimeout(() => { if (!done) { done = true; el.removeEventListener('seeked', onSeeked); callback(); } }, 1200);
                 })(element, () => {
-                  try { this.sendUpdate(); } catch (e) { console.warn('sendUpdate after seek failed', e); }
+                  try { this.sendUpdate(mediaId); } catch (e) { commandLog.warn('sendUpdate after seek failed', e); }
                 });
               } catch (err) {
-                console.error('MediaAgent: seek handling failed', err);
+                commandLog.error('Seek handling failed', err);
+                throw new Error('Seeking failed');
               }
+            } else {
+              throw new Error("This media can't be seeked");
             }
             break;
 
@@ -880,7 +1418,7 @@
             if (!element.isVirtual && element.seekable && element.seekable.length > 0 && params.time !== undefined) {
               try {
                 const target = Math.max(0, Math.min(element.duration || Infinity, params.time));
-                console.log('MediaAgent: setTime target', target);
+                commandLog.debug('setTime target', target);
 
                 if (typeof element.fastSeek === 'function') {
                   try { element.fastSeek(target); } catch (e) { element.currentTime = target; }
@@ -894,54 +1432,71 @@
                   el.addEventListener('seeked', onSeeked);
                   setTimeout(() => { if (!done) { done = true; el.removeEventListener('seeked', onSeeked); callback(); } }, 1200);
                 })(element, () => {
-                  try { this.sendUpdate(); } catch(e) { console.warn('sendUpdate after setTime failed', e); }
+                  try { this.sendUpdate(mediaId); } catch(e) { commandLog.warn('sendUpdate after setTime failed', e); }
                 });
               } catch (err) {
-                console.error('MediaAgent: setTime handling failed', err);
+                commandLog.error('setTime handling failed', err);
+                throw new Error('Seeking failed');
               }
             } else if (element.isVirtual && params.time !== undefined) {
-              // Handle Spotify seeking
-              this.spotifySeek(params.time);
+              // Seek through the site's own progress bar
+              if (!this.adapterSeek(params.time)) {
+                throw new Error("Couldn't use the player's progress bar");
+              }
+            } else {
+              throw new Error("This media can't be seeked");
             }
             break;
 
-            case 'previousTrack':
+            case 'previousTrack': {
               // Try site-specific previous track controls
-              if (element.isVirtual) {
-                this.spotifyAction('previous');
-              } else {
-                // Generic selectors for previous
-                const prevSel = ['.player .previous', '.ytp-prev-button', '[aria-label*="Previous"]', '[data-testid*="previous"]'];
-                for (const sel of prevSel) {
-                  const btn = document.querySelector(sel);
-                  if (btn) { try { btn.click(); break; } catch(e) { console.warn('prev click failed', e); } }
-                }
+              const clicked = element.isVirtual
+                ? this.adapterAction('previous')
+                : this.clickFirst(this.trackSelectors('previous'));
+              if (!clicked) {
+                throw new Error('No previous track button on this page');
               }
               break;
+            }
 
-            case 'nextTrack':
-              if (element.isVirtual) {
-                this.spotifyAction('next');
-              } else {
-                const nextSel = ['.player .next', '.ytp-next-button', '[aria-label*="Next"]', '[data-testid*="next"]'];
-                for (const sel of nextSel) {
-                  const btn = document.querySelector(sel);
-                  if (btn) { try { btn.click(); break; } catch(e) { console.warn('next click failed', e); } }
-                }
+            case 'nextTrack': {
+              const clicked = element.isVirtual
+                ? this.adapterAction('next')
+                : this.clickFirst(this.trackSelectors('next'));
+              if (!clicked) {
+                throw new Error('No next track button on this page');
               }
               break;
+            }
+
+          case 'skipAd':
+            // Only pages with a Media Session "skipad" handler can skip, and that ran above
+            throw new Error("This page doesn't offer skipping the ad");
+
+          case 'resume':
+            if (entry.resumeOffer !== null) {
+              element.currentTime = entry.resumeOffer;
+              entry.resumeOffer = null;
+            }
+            this.sendUpdate(mediaId);
+            break;
+
+          case 'dismissResume':
+            entry.resumeOffer = null;
+            this.sendUpdate(mediaId);
+            break;
 
           case 'beginSeek':
             // Suppress updates during quick seek operations
-            this._seekInProgress = true;
-            console.log('MediaAgent: beginSeek - suppressing updates');
+            entry.seekInProgress = true;
+            commandLog.debug('beginSeek - suppressing updates');
             break;
 
           case 'endSeek':
             // End suppression and trigger an immediate update
-            this._seekInProgress = false;
-            console.log('MediaAgent: endSeek - resuming updates, sending update now');
-            try { this.sendUpdate(); } catch(e) { console.warn('sendUpdate failed after endSeek', e); }
+            entry.seekInProgress = false;
+            commandLog.debug('endSeek - resuming updates, sending update now');
+            try { this.sendUpdate(mediaId); } catch(e) { commandLog.warn('sendUpdate failed after endSeek', e); }
             break;
             break;
 
@@ -949,11 +1504,35 @@
             if (!element.isVirtual && params.volume !== undefined) {
               element.volume = Math.max(0, Math.min(1, params.volume));
             } else if (element.isVirtual && params.volume !== undefined) {
-              // Handle Spotify volume
-              this.spotifySetVolume(params.volume);
+              // Drive the site's volume slider
+              if (!this.adapterSetVolume(params.volume)) {
+                throw new Error("Couldn't set the player's volume");
+              }
+            }
+            break;
+
+          case 'setRate':
+          case 'stepRate':
+            if (element.isVirtual) {
+              throw new Error("This player's speed can't be changed");
+            } else {
+              const requested = cmd === 'setRate' ? params.rate : element.playbackRate + (params.delta || 0);
+              if (typeof requested === 'number' && !isNaN(requested)) {
+                // Round to avoid float drift from repeated steps (1.25 + 0.25 + ...)
+                const rate = Math.round(Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, requested)) * 100) / 100;
+                commandLog.debug('Setting playback rate to', rate);
+                element.playbackRate = rate;
+              }
             }
             break;
 
+          case 'pip':
+            if (element.isVirtual) {
+              throw new Error('Picture-in-Picture is not available for this player');
+            }
+            await this.togglePictureInPicture(element);
+            break;
+
           case 'mute':
             if (!element.isVirtual) {
               if (params.muted !== undefined) {
@@ -962,21 +1541,24 @@
                 element.muted = !element.muted;
               }
             } else if (element.isVirtual) {
-              // Handle Spotify mute
-              if (params.muted !== undefined) {
-                this.spotifySetMute(params.muted);
-              } else {
-                this.spotifySetMute(!element._muted);
+              // Click the site's mute button
+              const muted = params.muted !== undefined ? params.muted : !element._muted;
+              if (!this.adapterSetMute(muted)) {
+                throw new Error("Couldn't find the player's mute button");
               }
             }
             break;
 
           default:
-            console.warn('Unknown control command:', cmd);
+            commandLog.warn('Unknown control command:', cmd);
+            throw new Error(`Unknown command ${cmd}`);
         }
       } catch (error) {
-        console.error('Error executing control command:', cmd, error);
+        commandLog.error('Error executing control command:', cmd, error);
+        return { ok: false, error: error.message };
       }
+
+      return { ok: true };
     }
   }
 
@@ -0,0 +1,79 @@
+// Media Session Hook - Runs in the page's own world at document_start. Records the action
+// handlers the page registers with navigator.mediaSession.setActionHandler() so the media
+// agent (which runs isolated from page scripts) can see and invoke them.
+//
+// The two sides talk through CustomEvents on the document carrying JSON strings, the only
+// payload both worlds can read:
+//   gmc-media-session-actions  page -> agent  list of actions that have a handler
+//   gmc-media-session-query    agent -> page  ask for the list again
+//   gmc-media-session-invoke   agent -> page  { requestId, action, seekTime, seekOffset, ... }
+//   gmc-media-session-result   page -> agent  { requestId, ok, error } once the handler has finished
+(function() {
+  'use strict';
+
+  const ACTIONS_EVENT = 'gmc-media-session-actions';
+  const QUERY_EVENT = 'gmc-media-session-query';
+  const INVOKE_EVENT = 'gmc-media-session-invoke';
+  const RESULT_EVENT = 'gmc-media-session-result';
+
+  if (typeof MediaSession === 'undefined' || !navigator.mediaSession) {
+    return;
+  }
+
+  const handlers = new Map(); // action -> handler
+  const originalSetActionHandler = MediaSession.prototype.setActionHandler;
+
+  function reportActions() {
+    document.dispatchEvent(new CustomEvent(ACTIONS_EVENT, {
+      detail: JSON.stringify(Array.from(handlers.keys()))
+    }));
+  }
+
+  MediaSession.prototype.setActionHandler = function setActionHandler(action, handler) {
+    // Let the browser reject unknown actions before recording anything
+    const result = originalSetActionHandler.call(this, action, handler);
+
+    if (typeof handler === 'function') {
+      handlers.set(action, handler);
+    } else {
+      handlers.delete(action);
+    }
+    reportActions();
+
+    return result;
+  };
+
+  document.addEventListener(QUERY_EVENT, reportActions);
+
+  function reportResult(requestId, error) {
+    document.dispatchEvent(new CustomEvent(RESULT_EVENT, {
+      detail: JSON.stringify(error ? { requestId, ok: false, error: String(error.message || error) } : { requestId, ok: true })
+    }));
+  }
+
+  // Handlers may return a promise; the result waits for it to settle
+  document.addEventListener(INVOKE_EVENT, async (event) => {
+    let details;
+    try {
+      details = JSON.parse(event.detail);
+    } catch (error) {
+      return;
+    }
+    if (!details) return;
+
+    const { requestId, ...actionDetails } = details;
+    const handler = handlers.get(actionDetails.action);
+    if (!handler) {
+      reportResult(requestId, `No handler for ${actionDetails.action}`);
+      return;
+    }
+
+    try {
+      await handler.call(navigator.mediaSession, actionDetails);
+      reportResult(requestId, null);
+    } catch (error) {
+      // Only the agent logs the failure, under the user's log settings; the page's console stays clean
+      reportResult(requestId, error || 'Unknown error');
+    }
+  });
+})();
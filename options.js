@@ -0,0 +1,132 @@
+// Options Page - Edits the settings in storage.sync; every valid change saves immediately
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+const uiLog = MediaLogger.create('ui');
+
+class OptionsPage {
+  constructor() {
+    this.form = document.getElementById('optionsForm');
+    this.status = document.getElementById('status');
+    this.statusTimer = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.fill(await MediaSettings.load());
+
+    this.form.addEventListener('change', (e) => this.handleChange(e.target));
+    this.form.addEventListener('submit', (e) => e.preventDefault());
+    document.getElementById('resetBtn').addEventListener('click', () => this.reset());
+    document.getElementById('diagnosticsBtn').addEventListener('click', () => {
+      browserAPI.tabs.create({ url: browserAPI.runtime.getURL('diagnostics.html') });
+    });
+
+    // Keep in sync with edits from another window or device
+    MediaSettings.onChange((changed) => this.fill(changed));
+  }
+
+  fill(values) {
+    for (const [key, value] of Object.entries(values)) {
+      const field = this.form.elements[key];
+      if (!field || field === document.activeElement) continue;
+
+      // Checkbox groups hold a list of the checked boxes' values
+      if (field instanceof RadioNodeList) {
+        for (const box of field) {
+          box.checked = value.includes(box.value);
+        }
+        continue;
+      }
+
+      if (field.type === 'checkbox') {
+        field.checked = value;
+      } else {
+        field.value = Array.isArray(value) ? value.join('\n') : value;
+      }
+      field.setCustomValidity('');
+    }
+  }
+
+  // Returns the field's value in its stored form, or throws with a message for the user
+  readField(field) {
+    // Textareas hold match pattern lists
+    if (field.tagName === 'TEXTAREA') {
+      const patterns = field.value.split('\n').map(line => line.trim()).filter(Boolean);
+      const invalid = patterns.filter(pattern => !MediaSettings.matchPatternToRegExp(pattern));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid match pattern: ${invalid[0]}`);
+      }
+      return patterns;
+    }
+
+    const group = this.form.elements[field.name];
+    if (group instanceof RadioNodeList) {
+      return Array.from(group).filter(box => box.checked).map(box => box.value);
+    }
+
+    if (field.type === 'checkbox') {
+      return field.checked;
+    }
+
+    if (field.type === 'number') {
+      if (!field.checkValidity()) {
+        throw new Error(`${field.closest('label').querySelector('span').textContent} must be between ${field.min} and ${field.max}`);
+      }
+      return Number(field.value);
+    }
+
+    return field.value;
+  }
+
+  async handleChange(field) {
+    if (!field.name || !(field.name in MediaSettings.DEFAULTS)) return;
+
+    let value;
+    try {
+      value = this.readField(field);
+    } catch (error) {
+      field.setCustomValidity(error.message);
+      this.showStatus(error.message, true);
+      return;
+    }
+
+    field.setCustomValidity('');
+    try {
+      await MediaSettings.save({ [field.name]: value });
+      this.showStatus('Saved');
+    } catch (error) {
+      uiLog.error('Error saving settings:', error);
+      this.showStatus('Could not save settings', true);
+    }
+  }
+
+  async reset() {
+    try {
+      await MediaSettings.reset();
+      document.activeElement?.blur();
+      this.fill(MediaSettings.DEFAULTS);
+      this.showStatus('Defaults restored');
+    } catch (error) {
+      uiLog.error('Error resetting settings:', error);
+      this.showStatus('Could not restore defaults', true);
+    }
+  }
+
+  showStatus(message, isError = false) {
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+
+    clearTimeout(this.statusTimer);
+    if (!isError) {
+      this.statusTimer = setTimeout(() => {
+        this.status.textContent = '';
+      }, 2000);
+    }
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsPage();
+});
@@ -1,13 +1,42 @@
 // Popup script for Global Media Controller
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
+// storage.local key written by the background: { [hostname]: { volume, muted, updatedAt } }
+const SITE_VOLUMES_KEY = 'siteVolumes';
+
+// storage.local key remembering the "All windows" toggle between popup openings
+const ALL_WINDOWS_KEY = 'popupAllWindows';
+
+// Presets offered in each card's speed selector
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3];
+
+// How long a failed command's message stays on its card
+const CARD_ERROR_MS = 4000;
+
+const uiLog = MediaLogger.create('ui');
+
+// The sidebar panel is this same page, opened as popup.html?view=sidebar; sidebar.css styles it
+if (new URLSearchParams(window.location.search).get('view') === 'sidebar') {
+  document.body.classList.add('sidebar');
+}
+
 class MediaControllerPopup {
   constructor() {
     this.sessions = new Map();
     this.port = null;
     this.allWindowsMode = false;
+    this.currentWindowId = null;
+    this.activeView = 'sessions'; // sessions | history | siteVolumes
+    this.history = [];
     // Optimistic state tracking
     this.optimisticStates = new Map(); // sessionId -> { paused: boolean, timestamp: number }
+    this.pendingCommands = new Map(); // requestId -> { sessionId, cmd, onFailure } awaiting COMMAND_RESULT
+    this.nextRequestId = 1;
+    this.cardErrorTimers = new Map(); // sessionId -> timeout hiding the card's error
+    this.settings = { ...MediaSettings.DEFAULTS };
+    this.pinnedSessionId = null; // session the global shortcuts are pinned to
+    // The same page logic runs in the toolbar popup and in the persistent sidebar panel
+    this.isSidebar = document.body.classList.contains('sidebar');
 
     this.init();
   }
@@ -17,17 +46,207 @@ class MediaControllerPopup {
     this.emptyState = document.getElementById('emptyState');
     this.allWindowsToggle = document.getElementById('allWindowsToggle');
 
+    this.applySettings(await MediaSettings.load());
+    MediaSettings.onChange((changed) => {
+      this.applySettings(changed);
+      // Cards bake in seek step labels; rebuild them
+      this.sessionsList.textContent = '';
+      this.updateDisplay();
+    });
+
+    const sidebarBtn = document.getElementById('sidebarBtn');
+    if (sidebarBtn) {
+      sidebarBtn.addEventListener('click', () => {
+        browserAPI.sidebarAction.open();
+        this.closePopup();
+      });
+    }
+
+    const optionsBtn = document.getElementById('optionsBtn');
+    if (optionsBtn) {
+      optionsBtn.addEventListener('click', () => browserAPI.runtime.openOptionsPage());
+    }
+
+    try {
+      const [currentWindow, stored] = await Promise.all([
+        browserAPI.windows.getCurrent(),
+        browserAPI.storage.local.get(ALL_WINDOWS_KEY)
+      ]);
+      this.currentWindowId = currentWindow.id;
+      this.allWindowsMode = stored[ALL_WINDOWS_KEY] === true;
+    } catch (error) {
+      uiLog.error('Error restoring window filter:', error);
+    }
+
     if (this.allWindowsToggle) {
+      this.allWindowsToggle.checked = this.allWindowsMode;
       this.allWindowsToggle.addEventListener('change', (e) => {
         this.allWindowsMode = e.target.checked;
+        browserAPI.storage.local.set({ [ALL_WINDOWS_KEY]: this.allWindowsMode }).catch(error => {
+          uiLog.error('Error saving window filter:', error);
+        });
         this.updateDisplay();
       });
     }
 
+    this.siteVolumesView = document.getElementById('siteVolumesView');
+    this.siteVolumesList = document.getElementById('siteVolumesList');
+    this.siteVolumesEmpty = document.getElementById('siteVolumesEmpty');
+
+    this.historyView = document.getElementById('historyView');
+    this.historyList = document.getElementById('historyList');
+    this.historyEmpty = document.getElementById('historyEmpty');
+    this.historySearch = document.getElementById('historySearch');
+    this.viewTabs = Array.from(document.querySelectorAll('.view-tab'));
+
+    for (const tab of this.viewTabs) {
+      tab.addEventListener('click', () => this.showView(tab.dataset.view));
+    }
+
+    if (this.historySearch) {
+      this.historySearch.addEventListener('input', () => this.renderHistory());
+    }
+
+    const clearHistoryBtn = document.getElementById('clearHistory');
+    if (clearHistoryBtn) {
+      clearHistoryBtn.addEventListener('click', () => this.clearHistory());
+    }
+
+    const pauseAllBtn = document.getElementById('pauseAllBtn');
+    if (pauseAllBtn) {
+      pauseAllBtn.addEventListener('click', () => this.postToBackground('PAUSE_ALL'));
+    }
+
+    this.resumeAllBtn = document.getElementById('resumeAllBtn');
+    if (this.resumeAllBtn) {
+      this.resumeAllBtn.addEventListener('click', () => this.postToBackground('RESUME_ALL'));
+    }
+
+    this.siteVolumesBtn = document.getElementById('siteVolumesBtn');
+    if (this.siteVolumesBtn) {
+      this.siteVolumesBtn.addEventListener('click', () => {
+        this.showView(this.activeView === 'siteVolumes' ? 'sessions' : 'siteVolumes');
+      });
+    }
+
+    const resetAllBtn = document.getElementById('resetAllSiteVolumes');
+    if (resetAllBtn) {
+      resetAllBtn.addEventListener('click', () => this.resetSiteVolume(null));
+    }
+
+    browserAPI.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[SITE_VOLUMES_KEY] && this.activeView === 'siteVolumes') {
+        this.renderSiteVolumes(changes[SITE_VOLUMES_KEY].newValue || {});
+      }
+    });
+
+    this.addKeyboardSupport();
+
     this.connectToBackground();
     await this.loadSessions();
   }
 
+  // Keyboard control. On a focused card: Space/K toggle, J/L seek, Up/Down volume, M mute,
+  // Enter opens the tab, Left/Right/Home/End move between cards. Number keys jump to card N.
+  addKeyboardSupport() {
+    document.addEventListener('keydown', (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey || e.defaultPrevented) return;
+
+      // Selects and text fields use letter and number keys themselves
+      const target = e.target;
+      if (target.closest('select, textarea, input:not([type="range"])')) return;
+
+      if (/^[1-9]$/.test(e.key) && this.activeView === 'sessions') {
+        const card = this.getVisibleCards()[Number(e.key) - 1];
+        if (card) {
+          card.focus();
+          e.preventDefault();
+        }
+        return;
+      }
+
+      const card = target.closest('.session-card');
+      if (!card) return;
+
+      const session = this.sessions.get(card.dataset.sessionId);
+      if (!session) return;
+
+      if (this.handleCardKey(e, card, session, target === card)) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  // Returns true when the key was handled. Keys that would also drive the focused control
+  // (Space/Enter on buttons, arrows on sliders) only act when the card itself has focus.
+  handleCardKey(e, card, session, onCard) {
+    switch (e.key.toLowerCase()) {
+      case 'k':
+        this.handleToggle(session, card);
+        return true;
+
+      case 'j':
+        this.sendControlCommand(session.id, 'seek', { delta: -this.settings.seekBackwardStep });
+        return true;
+
+      case 'l':
+        this.sendControlCommand(session.id, 'seek', { delta: this.settings.seekForwardStep });
+        return true;
+
+      case 'm':
+        this.sendControlCommand(session.id, 'mute');
+        return true;
+    }
+
+    if (!onCard) return false;
+
+    switch (e.key) {
+      case ' ':
+        this.handleToggle(session, card);
+        return true;
+
+      case 'Enter':
+        this.openTab(session.id);
+        return true;
+
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        if (typeof session.state.volume !== 'number') return false;
+        const delta = e.key === 'ArrowUp' ? 0.05 : -0.05;
+        const volume = Math.round(Math.max(0, Math.min(1, session.state.volume + delta)) * 100) / 100;
+        this.sendControlCommand(session.id, 'setVolume', { volume });
+        return true;
+      }
+
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'Home':
+      case 'End': {
+        const cards = this.getVisibleCards();
+        const index = cards.indexOf(card);
+        const next = {
+          ArrowLeft: cards[index - 1],
+          ArrowRight: cards[index + 1],
+          Home: cards[0],
+          End: cards[cards.length - 1]
+        }[e.key];
+        if (next) next.focus();
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  getVisibleCards() {
+    return Array.from(this.sessionsList.querySelectorAll('.session-card'));
+  }
+
+  applySettings(changed) {
+    Object.assign(this.settings, changed);
+    document.documentElement.dataset.theme = this.settings.theme;
+  }
+
   connectToBackground() {
     this.port = browserAPI.runtime.connect({ name: 'popup' });
 
@@ -36,15 +255,21 @@ class MediaControllerPopup {
     });
 
     this.port.onDisconnect.addListener(() => {
-      console.log('Disconnected from background script');
+      uiLog.debug('Disconnected from background script');
+      this.port = null;
+      // Results can't arrive on a new port; the resync after reconnecting shows the real state
+      this.pendingCommands.clear();
+
+      // The sidebar outlives background restarts (e.g. an extension reload); reconnect to resync
+      if (this.isSidebar) {
+        setTimeout(() => this.connectToBackground(), 1000);
+      }
     });
   }
 
   async loadSessions() {
     try {
-      const response = await browserAPI.runtime.sendMessage({
-        type: 'GET_SESSIONS'
-      });
+      const response = await browserAPI.runtime.sendMessage(MediaProtocol.create('GET_SESSIONS'));
 
       if (response && response.sessions) {
         this.sessions.clear();
@@ -54,20 +279,39 @@ class MediaControllerPopup {
         this.updateDisplay();
       }
     } catch (error) {
-      console.error('Error loading sessions:', error);
+      uiLog.error('Error loading sessions:', error);
     }
   }
 
   handleBackgroundMessage(message) {
+    const error = MediaProtocol.validate(message);
+    if (error) {
+      uiLog.error('Ignoring message from background:', error);
+      return;
+    }
+
     switch (message.type) {
       case 'SESSIONS_INIT':
         this.sessions.clear();
         for (const session of message.sessions) {
           this.sessions.set(session.id, session);
         }
+        this.updateResumeButton(message.resumableCount);
+        this.pinnedSessionId = message.pinnedSessionId || null;
         this.updateDisplay();
         break;
 
+      case 'TARGET_CHANGED':
+        this.pinnedSessionId = message.sessionId;
+        for (const card of this.getVisibleCards()) {
+          this.updatePinButton(card);
+        }
+        break;
+
+      case 'RESUMABLE_CHANGED':
+        this.updateResumeButton(message.count);
+        break;
+
       case 'SESSION_UPDATED':
         // If we have a recent optimistic update (within 500ms), ignore the background state for paused
         // to prevent flickering if the background is slightly delayed
@@ -85,6 +329,10 @@ class MediaControllerPopup {
         this.updateDisplay();
         break;
 
+      case 'COMMAND_RESULT':
+        this.handleCommandResult(message);
+        break;
+
       case 'SESSION_REMOVED':
         this.sessions.delete(message.sessionId);
         this.optimisticStates.delete(message.sessionId);
@@ -94,8 +342,22 @@ class MediaControllerPopup {
     }
   }
 
+  updateResumeButton(count) {
+    if (!this.resumeAllBtn) return;
+    this.resumeAllBtn.disabled = !count;
+    this.resumeAllBtn.title = count
+      ? `Resume ${count} ${count === 1 ? 'session' : 'sessions'} paused by Pause all`
+      : 'Resume media paused by Pause all';
+  }
+
   updateDisplay() {
-    const sessionsToShow = Array.from(this.sessions.values());
+    // Other views replace the session list while open
+    if (this.activeView !== 'sessions') return;
+
+    let sessionsToShow = Array.from(this.sessions.values());
+    if (!this.allWindowsMode) {
+      sessionsToShow = sessionsToShow.filter(s => s.windowId === this.currentWindowId);
+    }
 
     if (sessionsToShow.length === 0) {
       if (this.sessionsList) this.sessionsList.classList.add('hidden');
@@ -122,53 +384,106 @@ class MediaControllerPopup {
       }
     }
 
-    // Sort: playing sessions first, then by lastActiveAt
+    // Sort: grouped by window in all-windows mode (current window first),
+    // then by the configured sort order
     sessions.sort((a, b) => {
-      const aPlaying = a.state && !a.state.paused ? 1 : 0;
-      const bPlaying = b.state && !b.state.paused ? 1 : 0;
-      if (bPlaying !== aPlaying) return bPlaying - aPlaying;
-      return b.lastActiveAt - a.lastActiveAt;
+      if (this.allWindowsMode && a.windowId !== b.windowId) {
+        if (a.windowId === this.currentWindowId) return -1;
+        if (b.windowId === this.currentWindowId) return 1;
+        return (a.windowId ?? Infinity) - (b.windowId ?? Infinity);
+      }
+      return this.compareSessions(a, b);
     });
 
-    // Add/Moved
+    // Keep each tab's sessions together, positioned by the tab's highest-ranked session.
+    // The first one is the tab's main card; further players in the tab are shown as sub-items.
+    const sessionsByTab = new Map();
     for (const session of sessions) {
+      if (!sessionsByTab.has(session.tabId)) sessionsByTab.set(session.tabId, []);
+      sessionsByTab.get(session.tabId).push(session);
+    }
+    const orderedSessions = Array.from(sessionsByTab.values()).flat();
+
+    // Add/Moved. Window headers have no session id, so the removal pass above drops them
+    // and they're re-inserted here in order. Cards already in place aren't moved: moving a
+    // node drops keyboard focus from it.
+    let cursor = container.firstChild;
+    const place = (node) => {
+      if (node === cursor) {
+        cursor = cursor.nextSibling;
+      } else {
+        container.insertBefore(node, cursor);
+      }
+    };
+
+    let lastWindowId;
+    let windowNumber = 0;
+    orderedSessions.forEach((session, index) => {
+      if (this.allWindowsMode && session.windowId !== lastWindowId) {
+        lastWindowId = session.windowId;
+        windowNumber++;
+        place(this.createWindowHeader(session.windowId, windowNumber));
+      }
+
+      const isSubSession = index > 0 && orderedSessions[index - 1].tabId === session.tabId;
+
       let card = container.querySelector(`[data-session-id="${session.id}"]`);
       if (!card) {
         card = this.createSessionCard(session);
-        container.appendChild(card);
+        card.classList.toggle('sub-session', isSubSession);
+        if (isSubSession) this.updateSessionCardDOM(card, session);
+        place(card);
       } else {
-        // Re-order if needed (appendChild moves it to end)
-        // But complex re-ordering might be overkill, let's just append to maintain sort order
-        container.appendChild(card);
+        card.classList.toggle('sub-session', isSubSession);
+        place(card);
         // Update content is handled by updateSessionCard called separately or here?
         // We should ensure content is fresh.
         // updateSessionCard is called by SESSION_UPDATED.
         // But initial render needs data.
         this.updateSessionCardDOM(card, session);
       }
-    }
+    });
   }
 
-  // Parse title into { title, artist } trying to be smart about " - " separators
-  parseMetadata(title) {
-    if (!title) return { title: 'Unknown Title', artist: 'Unknown Artist' };
+  compareSessions(a, b) {
+    const byRecent = b.lastActiveAt - a.lastActiveAt;
+
+    switch (this.settings.defaultSort) {
+      case 'recent':
+        return byRecent;
+      case 'title':
+        return (a.title || '').localeCompare(b.title || '') || byRecent;
+      case 'site':
+        return this.getSiteName(a.url).localeCompare(this.getSiteName(b.url)) || byRecent;
+      default: {
+        // Playing sessions first, then by lastActiveAt
+        const aPlaying = a.state && !a.state.paused ? 1 : 0;
+        const bPlaying = b.state && !b.state.paused ? 1 : 0;
+        if (bPlaying !== aPlaying) return bPlaying - aPlaying;
+        return byRecent;
+      }
+    }
+  }
 
-    const separator = ' - ';
-    const parts = title.split(separator);
-    if (parts.length >= 2) {
-      // Heuristic: Artist is usually first for some sites, Title first for others.
-      // Spotify standard: "Title - Artist" usually in window title, but MediaSession API is better.
-      // The extension sends `document.title` or a constructed string.
-      // Let's assume the constructed string in mediaAgent is `${trackName} - ${artistName}`
-      return { title: parts[0], artist: parts.slice(1).join(separator) };
+  createWindowHeader(windowId, windowNumber) {
+    const header = document.createElement('div');
+    header.className = 'window-group-header';
+    if (windowId === this.currentWindowId) {
+      header.textContent = 'This window';
+    } else if (windowId === null || windowId === undefined) {
+      header.textContent = 'Moving between windows';
+    } else {
+      header.textContent = `Window ${windowNumber}`;
     }
-    return { title: title, artist: '' }; // No artist detected
+    return header;
   }
 
   createSessionCard(session) {
     const card = document.createElement('div');
     card.className = 'session-card';
     card.dataset.sessionId = session.id;
+    card.tabIndex = 0;
+    card.setAttribute('role', 'group');
 
     // Initial structure
     card.innerHTML = `
@@ -189,7 +504,7 @@ class MediaControllerPopup {
       <div class="progress-info">
           <div class="progress-container">
             <div class="time-display current-time">0:00</div>
-            <div class="progress-bar" data-action="seek-to">
+            <div class="progress-bar" data-action="seek-to" role="slider" tabindex="0" aria-label="Seek" aria-valuemin="0">
               <div class="progress-fill"></div>
               <div class="progress-handle"></div>
             </div>
@@ -197,39 +512,61 @@ class MediaControllerPopup {
           </div>
       </div>
 
+      <div class="resume-offer hidden">
+          <button class="text-btn" data-action="resume"></button>
+          <button class="text-btn" data-action="dismiss-resume" title="Keep playing from here" aria-label="Dismiss">✕</button>
+      </div>
+
+      <div class="card-error hidden" role="alert"></div>
+
       <div class="session-controls">
          <button class="control-btn" data-action="previousTrack" title="Previous">
              <svg viewBox="0 0 24 24" width="16" height="16"><path d="M6 6h2v12H6zm3.5 6l8.5 6V6z"/></svg>
          </button>
-         <button class="control-btn" data-action="seek-backward" title="-10s">
-             <svg viewBox="0 0 24 24" width="18" height="18"><path d="M12.5 3C8.36 3 4.86 5.48 3.23 9H1l3.5 4 3.5-4H5.67C7.01 6.57 9.56 5 12.5 5c4.14 0 7.5 3.36 7.5 7.5S16.64 20 12.5 20c-3.27 0-6.05-2.1-7.07-5H3.29c1.12 4.22 5.02 7.5 9.71 7.5 5.52 0 10-4.48 10-10S18.02 3 12.5 3z"/><text x="12.5" y="14" font-size="6" font-weight="bold" fill="currentColor" text-anchor="middle">10</text></svg>
+         <button class="control-btn" data-action="seek-backward" title="-${this.settings.seekBackwardStep}s">
+             <svg viewBox="0 0 24 24" width="18" height="18"><path d="M12.5 3C8.36 3 4.86 5.48 3.23 9H1l3.5 4 3.5-4H5.67C7.01 6.57 9.56 5 12.5 5c4.14 0 7.5 3.36 7.5 7.5S16.64 20 12.5 20c-3.27 0-6.05-2.1-7.07-5H3.29c1.12 4.22 5.02 7.5 9.71 7.5 5.52 0 10-4.48 10-10S18.02 3 12.5 3z"/><text x="12.5" y="14" font-size="6" font-weight="bold" fill="currentColor" text-anchor="middle">${this.settings.seekBackwardStep}</text></svg>
          </button>
          <button class="control-btn primary toggle-play-btn" data-action="toggle" title="Play/Pause">
              <!-- Icon injected dynamically -->
          </button>
-         <button class="control-btn" data-action="seek-forward" title="+10s">
-             <svg viewBox="0 0 24 24" width="18" height="18"><path d="M11.5 3c4.14 0 7.64 2.48 9.27 6H23l-3.5 4-3.5-4h2.33C16.99 6.57 14.44 5 11.5 5 7.36 5 4 8.36 4 12.5S7.36 20 11.5 20c3.27 0 6.05-2.1 7.07-5h2.14c-1.12 4.22-5.02 7.5-9.71 7.5-5.52 0-10-4.48-10-10S5.98 3 11.5 3z"/><text x="11.5" y="14" font-size="6" font-weight="bold" fill="currentColor" text-anchor="middle">10</text></svg>
+         <button class="control-btn" data-action="seek-forward" title="+${this.settings.seekForwardStep}s">
+             <svg viewBox="0 0 24 24" width="18" height="18"><path d="M11.5 3c4.14 0 7.64 2.48 9.27 6H23l-3.5 4-3.5-4h2.33C16.99 6.57 14.44 5 11.5 5 7.36 5 4 8.36 4 12.5S7.36 20 11.5 20c3.27 0 6.05-2.1 7.07-5h2.14c-1.12 4.22-5.02 7.5-9.71 7.5-5.52 0-10-4.48-10-10S5.98 3 11.5 3z"/><text x="11.5" y="14" font-size="6" font-weight="bold" fill="currentColor" text-anchor="middle">${this.settings.seekForwardStep}</text></svg>
          </button>
          <button class="control-btn" data-action="nextTrack" title="Next">
              <svg viewBox="0 0 24 24" width="16" height="16"><path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z"/></svg>
          </button>
+         <button class="control-btn hidden" data-action="skipAd" title="Skip ad">
+             <svg viewBox="0 0 24 24" width="16" height="16"><path d="M4 18l8.5-6L4 6v12zm9-12v12l8.5-6L13 6z"/></svg>
+         </button>
       </div>
 
       <div class="session-footer">
           <div class="volume-control">
-             <span class="volume-icon" data-action="mute">🔊</span>
-             <input type="range" class="volume-slider" min="0" max="1" step="0.01">
+             <button class="volume-icon" data-action="mute" aria-label="Mute">🔊</button>
+             <input type="range" class="volume-slider" min="0" max="1" step="0.01" aria-label="Volume">
           </div>
+          <select class="speed-select" title="Playback speed" aria-label="Playback speed">
+             ${PLAYBACK_RATES.map(rate => `<option value="${rate}">${rate}×</option>`).join('')}
+          </select>
+          <button class="control-btn pip-btn" data-action="pip" title="Picture-in-Picture">
+             <svg viewBox="0 0 24 24" width="16" height="16"><path d="M19 7h-8v6h8V7zm2-4H3c-1.1 0-2 .9-2 2v14c0 1.1.9 1.98 2 1.98h18c1.1 0 2-.88 2-1.98V5c0-1.1-.9-2-2-2zm0 16.01H3V4.98h18v14.03z"/></svg>
+          </button>
+          <button class="control-btn pin-btn" data-action="pin" title="Use as shortcut target" aria-pressed="false">
+             <svg viewBox="0 0 24 24" width="16" height="16"><path d="M16 9V4h1c.55 0 1-.45 1-1s-.45-1-1-1H7c-.55 0-1 .45-1 1s.45 1 1 1h1v5c0 1.66-1.34 3-3 3v2h5.97v7l1 1 1-1v-7H19v-2c-1.66 0-3-1.34-3-3z"/></svg>
+          </button>
+          <button class="control-btn solo-btn" data-action="solo" title="Play only this (pause all others)">
+             <svg viewBox="0 0 24 24" width="16" height="16"><path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.41 0-8-3.59-8-8s3.59-8 8-8 8 3.59 8 8-3.59 8-8 8zm-2-3.5 6-4.5-6-4.5v9z"/></svg>
+          </button>
           <button class="control-btn open-tab-btn" data-action="open-tab" title="Open Tab">
              <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line></svg>
           </button>
       </div>
     `;
 
-    this.addCardEventListeners(card, session);
+    this.addCardEventListeners(card);
     this.updateSessionCardDOM(card, session);
     // Init progress bar logic
-    this.addProgressBarDragSupport(card.querySelector('.progress-bar'), session);
+    this.addProgressBarDragSupport(card.querySelector('.progress-bar'), session.id);
 
     return card;
   }
@@ -241,9 +578,23 @@ class MediaControllerPopup {
     }
   }
 
+  removeSessionCard(sessionId) {
+    const card = this.sessionsList.querySelector(`[data-session-id="${sessionId}"]`);
+    if (card) card.remove();
+
+    clearTimeout(this.cardErrorTimers.get(sessionId));
+    this.cardErrorTimers.delete(sessionId);
+  }
+
   updateSessionCardDOM(card, session) {
-    // Logic to update DOM elements efficiently
-    const { title, artist } = this.parseMetadata(session.title);
+    // Logic to update DOM elements efficiently.
+    // Sub-items share the tab's title, so they're labelled by their own element instead.
+    const { title, artist } = card.classList.contains('sub-session') && session.mediaLabel
+      ? { title: session.mediaLabel, artist: '' }
+      : {
+        title: session.title || 'Unknown Title',
+        artist: [session.artist, session.album].filter(Boolean).join(' · ')
+      };
 
     const titleEl = card.querySelector('.session-title');
     if (titleEl.textContent !== title) titleEl.textContent = title;
@@ -254,6 +605,7 @@ class MediaControllerPopup {
     const siteEl = card.querySelector('.session-site');
     const siteName = this.getSiteName(session.url);
     if (siteEl.textContent !== siteName) siteEl.textContent = siteName;
+    card.setAttribute('aria-label', `${title} — ${siteName}`);
 
     // Icon
     const iconEl = card.querySelector('.session-site-icon');
@@ -288,6 +640,7 @@ class MediaControllerPopup {
     const targetIcon = isPaused ? playIcon : pauseIcon;
     if (playBtn.innerHTML !== targetIcon) playBtn.innerHTML = targetIcon;
     playBtn.title = isPaused ? 'Play' : 'Pause';
+    playBtn.setAttribute('aria-label', playBtn.title);
 
     // Volume
     const volSlide = card.querySelector('.volume-slider');
@@ -299,6 +652,43 @@ class MediaControllerPopup {
 
     const muteIcon = card.querySelector('.volume-icon');
     muteIcon.textContent = session.state.muted ? '🔇' : '🔊';
+    muteIcon.setAttribute('aria-pressed', String(!!session.state.muted));
+
+    // Picture-in-Picture, only where the page can use it (Firefox doesn't expose the API to pages)
+    const pipBtn = card.querySelector('.pip-btn');
+    pipBtn.classList.toggle('hidden', !session.state.canPictureInPicture && !session.state.inPictureInPicture);
+    pipBtn.classList.toggle('active', !!session.state.inPictureInPicture);
+    pipBtn.setAttribute('aria-pressed', String(!!session.state.inPictureInPicture));
+    pipBtn.title = session.state.inPictureInPicture ? 'Exit Picture-in-Picture' : 'Picture-in-Picture';
+
+    this.updatePinButton(card);
+
+    // Hide buttons for actions this media can't perform (older agents don't report any)
+    const supported = session.state.supportedActions;
+    const supports = (action) => !Array.isArray(supported) || supported.includes(action);
+    card.querySelector('[data-action="previousTrack"]').classList.toggle('hidden', !supports('previoustrack'));
+    card.querySelector('[data-action="nextTrack"]').classList.toggle('hidden', !supports('nexttrack'));
+    card.querySelector('[data-action="skipAd"]').classList.toggle('hidden', !(supported || []).includes('skipad'));
+
+    // Saved position offered by the agent for long media
+    const resumeOffer = card.querySelector('.resume-offer');
+    const resumeAt = session.state.resumeAt;
+    resumeOffer.classList.toggle('hidden', typeof resumeAt !== 'number');
+    if (typeof resumeAt === 'number') {
+      resumeOffer.querySelector('[data-action="resume"]').textContent = `Resume from ${this.formatTime(resumeAt)}`;
+    }
+
+    // Playback speed (virtual players don't report one)
+    const speedSelect = card.querySelector('.speed-select');
+    const rate = session.state.playbackRate;
+    if (typeof rate !== 'number') {
+      speedSelect.classList.add('hidden');
+    } else {
+      speedSelect.classList.remove('hidden');
+      if (document.activeElement !== speedSelect) {
+        this.updateSpeedOptions(speedSelect, rate);
+      }
+    }
 
     // Progress (only if not dragging)
     const progressBar = card.querySelector('.progress-bar');
@@ -307,7 +697,40 @@ class MediaControllerPopup {
     }
   }
 
+  updatePinButton(card) {
+    const pinned = card.dataset.sessionId === this.pinnedSessionId;
+    const pinBtn = card.querySelector('.pin-btn');
+    pinBtn.classList.toggle('active', pinned);
+    pinBtn.setAttribute('aria-pressed', String(pinned));
+    pinBtn.title = pinned ? 'Shortcut target (click to unpin)' : 'Use as shortcut target';
+  }
+
+  // Select the current rate, adding a one-off option when the page or a shortcut set a non-preset rate
+  updateSpeedOptions(speedSelect, rate) {
+    const value = String(rate);
+    const custom = speedSelect.querySelector('option[data-custom]');
+    if (custom && custom.value !== value) custom.remove();
+
+    if (!speedSelect.querySelector(`option[value="${value}"]`)) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${rate}×`;
+      option.dataset.custom = 'true';
+      const next = Array.from(speedSelect.options).find(o => parseFloat(o.value) > rate);
+      speedSelect.insertBefore(option, next || null);
+    }
+
+    if (speedSelect.value !== value) speedSelect.value = value;
+  }
+
   updateProgressBarVisuals(card, state) {
+    const progressBar = card.querySelector('.progress-bar');
+    progressBar.setAttribute('aria-valuemax', String(Math.floor(state.duration || 0)));
+    progressBar.setAttribute('aria-valuenow', String(Math.floor(state.currentTime || 0)));
+    progressBar.setAttribute('aria-valuetext', state.duration
+      ? `${this.formatTime(state.currentTime)} of ${this.formatTime(state.duration)}`
+      : this.formatTime(state.currentTime));
+
     const progressFill = card.querySelector('.progress-fill');
     const progressHandle = card.querySelector('.progress-handle');
     const currentEl = card.querySelector('.current-time');
@@ -327,10 +750,13 @@ class MediaControllerPopup {
     durationEl.textContent = this.formatTime(state.duration);
   }
 
-  addCardEventListeners(card, session) {
+  // Listeners look the session up when they fire; the card outlives the state it was built with
+  addCardEventListeners(card) {
+    const sessionId = card.dataset.sessionId;
+
     // Delegated clicks for controls
     card.addEventListener('click', (e) => {
-      const btn = e.target.closest('.control-btn, .volume-icon');
+      const btn = e.target.closest('.control-btn, .volume-icon, .resume-offer button');
       if (!btn) return;
 
       const action = btn.dataset.action;
@@ -338,33 +764,55 @@ class MediaControllerPopup {
 
       e.stopPropagation();
 
+      const session = this.sessions.get(sessionId);
+      if (!session) return;
+
       if (action === 'toggle') {
         this.handleToggle(session, btn);
       } else if (action === 'mute') {
-        this.sendControlCommand(session.id, 'mute');
+        this.sendControlCommand(sessionId, 'mute');
       } else if (action === 'open-tab') {
-        this.openTab(session.id);
+        this.openTab(sessionId);
       } else if (action === 'seek-forward') {
-        this.sendControlCommand(session.id, 'seek', { delta: 10 });
+        this.sendControlCommand(sessionId, 'seek', { delta: this.settings.seekForwardStep });
       } else if (action === 'seek-backward') {
-        this.sendControlCommand(session.id, 'seek', { delta: -10 });
+        this.sendControlCommand(sessionId, 'seek', { delta: -this.settings.seekBackwardStep });
       } else if (action === 'nextTrack') {
-        this.sendControlCommand(session.id, 'nextTrack');
+        this.sendControlCommand(sessionId, 'nextTrack');
+      } else if (action === 'skipAd') {
+        this.sendControlCommand(sessionId, 'skipAd');
       } else if (action === 'previousTrack') {
-        this.sendControlCommand(session.id, 'previousTrack');
+        this.sendControlCommand(sessionId, 'previousTrack');
+      } else if (action === 'pip') {
+        this.sendControlCommand(sessionId, 'pip');
+      } else if (action === 'resume') {
+        this.sendControlCommand(sessionId, 'resume');
+      } else if (action === 'dismiss-resume') {
+        this.sendControlCommand(sessionId, 'dismissResume');
+      } else if (action === 'pin') {
+        this.postToBackground('PIN_TARGET', { sessionId: this.pinnedSessionId === sessionId ? null : sessionId });
+      } else if (action === 'solo') {
+        this.postToBackground('SOLO', { sessionId });
       }
     });
 
     const volumeSlider = card.querySelector('.volume-slider');
     volumeSlider.addEventListener('input', (e) => {
       const vol = parseFloat(e.target.value);
-      this.sendControlCommand(session.id, 'setVolume', { volume: vol });
+      this.sendControlCommand(sessionId, 'setVolume', { volume: vol });
+    });
+
+    const speedSelect = card.querySelector('.speed-select');
+    speedSelect.addEventListener('change', (e) => {
+      this.sendControlCommand(sessionId, 'setRate', { rate: parseFloat(e.target.value) });
     });
   }
 
   handleToggle(session, btn) {
+    const wasPaused = session.state.paused;
+
     // OPTIMISTIC UPDATE
-    const newPausedState = !session.state.paused;
+    const newPausedState = !wasPaused;
     session.state.paused = newPausedState;
 
     // Update our Optimistic map to ignore incoming stale messages for a bit
@@ -376,19 +824,47 @@ class MediaControllerPopup {
     // Force UI update immediately
     this.updateSessionCardDOM(btn.closest('.session-card'), session);
 
-    // Send actual command
-    this.sendControlCommand(session.id, 'toggle');
+    // Send actual command; when the page refuses (autoplay policy, missing player button)
+    // the card goes back to the state the media is really in
+    this.sendControlCommand(session.id, 'toggle', {}, () => {
+      this.optimisticStates.delete(session.id);
+      const current = this.sessions.get(session.id);
+      if (current) {
+        current.state.paused = wasPaused;
+        this.updateSessionCard(current);
+      }
+    });
   }
 
-  addProgressBarDragSupport(progressBar, session) {
+  addProgressBarDragSupport(progressBar, sessionId) {
     let isDragging = false;
 
+    // Slider keys: Left/Right seek by the configured steps, Home restarts
+    progressBar.addEventListener('keydown', (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+
+      if (e.key === 'ArrowLeft') {
+        this.sendControlCommand(sessionId, 'seek', { delta: -this.settings.seekBackwardStep });
+      } else if (e.key === 'ArrowRight') {
+        this.sendControlCommand(sessionId, 'seek', { delta: this.settings.seekForwardStep });
+      } else if (e.key === 'Home') {
+        this.sendControlCommand(sessionId, 'setTime', { time: 0 });
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+    });
+
     // Mouse events
     const startDrag = (e) => {
-      if (!session.state.duration) return;
+      // The duration as of this drag: the element may have moved on to another track since the card was built
+      const session = this.sessions.get(sessionId);
+      const duration = session && session.state.duration;
+      if (!duration) return;
       isDragging = true;
       progressBar.classList.add('dragging');
-      this.sendControlCommand(session.id, 'beginSeek'); // Pause updates
+      this.sendControlCommand(sessionId, 'beginSeek'); // Pause updates
 
       const onMove = (moveEvent) => {
         const rect = progressBar.getBoundingClientRect();
@@ -405,7 +881,7 @@ class MediaControllerPopup {
         progressFill.style.width = `${pct * 100}%`;
         progressHandle.style.left = `${pct * 100}%`;
 
-        const time = pct * session.state.duration;
+        const time = pct * duration;
         timeDisplay.textContent = this.formatTime(time);
       };
 
@@ -425,10 +901,10 @@ class MediaControllerPopup {
         const card = progressBar.closest('.session-card');
         const fill = card.querySelector('.progress-fill');
         const pct = parseFloat(fill.style.width) / 100;
-        const finalTime = pct * session.state.duration;
+        const finalTime = pct * duration;
 
-        this.sendControlCommand(session.id, 'setTime', { time: finalTime });
-        this.sendControlCommand(session.id, 'endSeek');
+        this.sendControlCommand(sessionId, 'setTime', { time: finalTime });
+        this.sendControlCommand(sessionId, 'endSeek');
       };
 
       document.addEventListener('mousemove', onMove);
@@ -443,12 +919,53 @@ class MediaControllerPopup {
     progressBar.addEventListener('touchstart', startDrag);
   }
 
-  sendControlCommand(sessionId, cmd, params = {}) {
-    if (this.port) {
-      this.port.postMessage({
-        type: 'CONTROL_COMMAND',
-        data: { sessionId, cmd, ...params }
-      });
+  // onFailure runs if the agent reports that the command didn't take effect
+  sendControlCommand(sessionId, cmd, params = {}, onFailure = null) {
+    const requestId = this.nextRequestId++;
+    if (!this.postToBackground('CONTROL_COMMAND', { requestId, data: { sessionId, cmd, ...params } })) {
+      if (onFailure) onFailure();
+      return;
+    }
+    this.pendingCommands.set(requestId, { sessionId, cmd, onFailure });
+  }
+
+  handleCommandResult({ requestId, ok, error }) {
+    const pending = this.pendingCommands.get(requestId);
+    if (!pending) return;
+    this.pendingCommands.delete(requestId);
+    if (ok) return;
+
+    uiLog.warn('Command failed:', pending.cmd, error);
+    if (pending.onFailure) pending.onFailure();
+    this.showCardError(pending.sessionId, error || "That didn't work");
+  }
+
+  showCardError(sessionId, message) {
+    const card = this.sessionsList.querySelector(`[data-session-id="${sessionId}"]`);
+    if (!card) return;
+
+    const errorEl = card.querySelector('.card-error');
+    errorEl.textContent = message;
+    errorEl.classList.remove('hidden');
+
+    clearTimeout(this.cardErrorTimers.get(sessionId));
+    this.cardErrorTimers.set(sessionId, setTimeout(() => {
+      errorEl.classList.add('hidden');
+      this.cardErrorTimers.delete(sessionId);
+    }, CARD_ERROR_MS));
+  }
+
+  // Returns false when there's no connection to send on
+  postToBackground(type, fields) {
+    if (!this.port) return false;
+    this.port.postMessage(MediaProtocol.create(type, fields));
+    return true;
+  }
+
+  // The popup gets out of the way after navigating; the sidebar stays
+  closePopup() {
+    if (!this.isSidebar) {
+      window.close();
     }
   }
 
@@ -464,13 +981,170 @@ class MediaControllerPopup {
         if (tab && tab.windowId) {
           await browserAPI.windows.update(tab.windowId, { focused: true });
         }
-        window.close();
+        this.closePopup();
       } catch (e) {
-        console.error('Error opening tab:', e);
+        uiLog.error('Error opening tab:', e);
       }
     }
   }
 
+  // Switch between the session list, the history and the remembered site volumes
+  async showView(view) {
+    this.activeView = view;
+
+    for (const tab of this.viewTabs) {
+      const selected = tab.dataset.view === view;
+      tab.classList.toggle('active', selected);
+      tab.setAttribute('aria-selected', String(selected));
+    }
+    if (this.siteVolumesBtn) {
+      this.siteVolumesBtn.classList.toggle('active', view === 'siteVolumes');
+    }
+    this.siteVolumesView.classList.toggle('hidden', view !== 'siteVolumes');
+    this.historyView.classList.toggle('hidden', view !== 'history');
+
+    if (view === 'sessions') {
+      this.updateDisplay();
+      return;
+    }
+
+    this.sessionsList.classList.add('hidden');
+    this.emptyState.classList.add('hidden');
+
+    if (view === 'siteVolumes') {
+      try {
+        const stored = await browserAPI.storage.local.get(SITE_VOLUMES_KEY);
+        this.renderSiteVolumes(stored[SITE_VOLUMES_KEY] || {});
+      } catch (error) {
+        uiLog.error('Error loading site volumes:', error);
+      }
+    } else if (view === 'history') {
+      await this.loadHistory();
+    }
+  }
+
+  // The background holds the freshest history (its storage writes are batched)
+  async loadHistory() {
+    try {
+      const response = await browserAPI.runtime.sendMessage(MediaProtocol.create('GET_HISTORY'));
+      this.history = (response && response.history) || [];
+    } catch (error) {
+      uiLog.error('Error loading history:', error);
+      this.history = [];
+    }
+    this.renderHistory();
+  }
+
+  renderHistory() {
+    const query = this.historySearch.value.trim().toLowerCase();
+    const entries = query
+      ? this.history.filter(entry => [entry.title, entry.artist, entry.album, entry.site].join(' ').toLowerCase().includes(query))
+      : this.history;
+
+    this.historyList.textContent = '';
+    this.historyEmpty.textContent = this.history.length === 0
+      ? 'Tracks and videos you play will show up here.'
+      : 'Nothing in your history matches that search.';
+    this.historyEmpty.classList.toggle('hidden', entries.length > 0);
+
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      item.className = 'history-item';
+      item.innerHTML = `
+        <img class="history-artwork" src="" alt="" loading="lazy">
+        <div class="history-info">
+          <div class="history-title"></div>
+          <div class="history-meta"></div>
+        </div>
+        <button class="control-btn history-open-btn" title="Open in a new tab" aria-label="Open in a new tab">
+          <svg viewBox="0 0 24 24" width="16" height="16" fill="none" stroke="currentColor" stroke-width="2"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"></path><polyline points="15 3 21 3 21 9"></polyline><line x1="10" y1="14" x2="21" y2="3"></line></svg>
+        </button>
+      `;
+
+      const artwork = item.querySelector('.history-artwork');
+      if (entry.artworkUrl) {
+        artwork.src = entry.artworkUrl;
+      } else {
+        artwork.style.display = 'none';
+      }
+
+      item.querySelector('.history-title').textContent = entry.title;
+      item.querySelector('.history-meta').textContent = [
+        entry.artist,
+        entry.site.replace(/^www\./, ''),
+        this.formatPlayedAt(entry.startedAt),
+        `${this.formatTime(entry.listenedSeconds)} listened`
+      ].filter(Boolean).join(' · ');
+
+      item.querySelector('.history-open-btn').addEventListener('click', () => this.reopenHistoryEntry(entry));
+      this.historyList.appendChild(item);
+    }
+  }
+
+  async reopenHistoryEntry(entry) {
+    try {
+      await browserAPI.tabs.create({ url: entry.url });
+      this.closePopup();
+    } catch (error) {
+      uiLog.error('Error reopening history entry:', error);
+    }
+  }
+
+  async clearHistory() {
+    try {
+      await browserAPI.runtime.sendMessage(MediaProtocol.create('CLEAR_HISTORY'));
+    } catch (error) {
+      uiLog.error('Error clearing history:', error);
+    }
+    this.history = [];
+    this.renderHistory();
+  }
+
+  // "14:05" for today, otherwise the date as well
+  formatPlayedAt(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    if (date.toDateString() === new Date().toDateString()) return time;
+    return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+  }
+
+  renderSiteVolumes(siteVolumes) {
+    const entries = Object.entries(siteVolumes).sort((a, b) => b[1].updatedAt - a[1].updatedAt);
+    this.siteVolumesList.textContent = '';
+    this.siteVolumesEmpty.classList.toggle('hidden', entries.length > 0);
+
+    for (const [hostname, entry] of entries) {
+      const item = document.createElement('li');
+      item.className = 'site-volume-item';
+      item.innerHTML = `
+        <span class="site-volume-host"></span>
+        <span class="site-volume-level"></span>
+        <button class="text-btn" title="Forget this site's volume">Reset</button>
+      `;
+      item.querySelector('.site-volume-host').textContent = hostname.replace(/^www\./, '');
+      item.querySelector('.site-volume-level').textContent =
+        `${entry.muted ? '🔇' : '🔊'} ${Math.round((entry.volume ?? 1) * 100)}%`;
+      item.querySelector('button').addEventListener('click', () => this.resetSiteVolume(hostname));
+      this.siteVolumesList.appendChild(item);
+    }
+  }
+
+  // Forget one site's remembered volume, or all of them when hostname is null
+  async resetSiteVolume(hostname) {
+    try {
+      if (hostname === null) {
+        await browserAPI.storage.local.remove(SITE_VOLUMES_KEY);
+        return;
+      }
+      const stored = await browserAPI.storage.local.get(SITE_VOLUMES_KEY);
+      const siteVolumes = stored[SITE_VOLUMES_KEY] || {};
+      delete siteVolumes[hostname];
+      await browserAPI.storage.local.set({ [SITE_VOLUMES_KEY]: siteVolumes });
+    } catch (error) {
+      uiLog.error('Error resetting site volume:', error);
+    }
+  }
+
   getSiteName(url) {
     try {
       const urlObj = new URL(url);
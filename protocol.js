@@ -0,0 +1,201 @@
+// Protocol - Message schema shared by background, agent and popup. Every message carries the
+// protocol version; receivers validate messages before acting on them and drop malformed ones.
+(function(global) {
+  'use strict';
+
+  // Bump whenever a message changes shape. Agents in tabs that stayed open across an update
+  // answer with their own version, which tells the background to replace them.
+  const VERSION = 2;
+
+  // Prevent multiple injections of the same version
+  if (global.MediaProtocol && global.MediaProtocol.VERSION === VERSION) {
+    return;
+  }
+
+  // Field checks return an error message, or null when the value is acceptable
+  function check(expected, test) {
+    return (value, path) => test(value) ? null : `${path} must be ${expected}`;
+  }
+
+  function optional(spec) {
+    return (value, path) => value === undefined || value === null ? null : spec(value, path);
+  }
+
+  function shape(fields) {
+    return (value, path) => {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return `${path} must be an object`;
+      }
+      for (const [key, spec] of Object.entries(fields)) {
+        const error = spec(value[key], `${path}.${key}`);
+        if (error) return error;
+      }
+      return null;
+    };
+  }
+
+  function listOf(spec) {
+    return (value, path) => {
+      if (!Array.isArray(value)) return `${path} must be a list`;
+      for (let i = 0; i < value.length; i++) {
+        const error = spec(value[i], `${path}[${i}]`);
+        if (error) return error;
+      }
+      return null;
+    };
+  }
+
+  const string = check('a string', value => typeof value === 'string');
+  const boolean = check('a boolean', value => typeof value === 'boolean');
+  const finite = check('a finite number', Number.isFinite);
+  const count = check('a whole number of at least 0', value => Number.isInteger(value) && value >= 0);
+  const time = check('a finite time of at least 0', value => Number.isFinite(value) && value >= 0);
+  // Live streams report an infinite duration
+  const duration = check('a duration of at least 0', value => typeof value === 'number' && value >= 0);
+  const fraction = check('a number from 0 to 1', value => Number.isFinite(value) && value >= 0 && value <= 1);
+  // The agent clamps to the rates it supports; anything else is a bug in the sender
+  const rate = check('a playback rate from 0 to 16', value => Number.isFinite(value) && value >= 0 && value <= 16);
+  const object = check('an object', value => !!value && typeof value === 'object' && !Array.isArray(value));
+  const logLevel = check('a log level', value => ['debug', 'info', 'warn', 'error'].includes(value));
+
+  // Control commands and the parameters each accepts; MEDIA_CONTROL carries nothing else
+  const COMMANDS = {
+    toggle: {},
+    play: {},
+    pause: {},
+    seek: { delta: finite },
+    setTime: { time },
+    previousTrack: {},
+    nextTrack: {},
+    skipAd: {},
+    resume: {},
+    dismissResume: {},
+    beginSeek: {},
+    endSeek: {},
+    setVolume: { volume: fraction },
+    setRate: { rate },
+    stepRate: { delta: finite },
+    pip: {},
+    mute: { muted: optional(boolean) }
+  };
+
+  const command = check('a known command', value => Object.prototype.hasOwnProperty.call(COMMANDS, value));
+
+  const MEDIA_STATE = shape({
+    paused: boolean,
+    muted: boolean,
+    volume: fraction,
+    currentTime: time,
+    duration,
+    canSeek: optional(boolean),
+    ended: optional(boolean),
+    playbackRate: optional(rate),
+    isVideo: optional(boolean),
+    canPictureInPicture: optional(boolean),
+    inPictureInPicture: optional(boolean),
+    resumeAt: optional(time),
+    supportedActions: optional(listOf(string))
+  });
+
+  const SESSION = shape({
+    id: string,
+    tabId: count,
+    frameId: count,
+    mediaId: string,
+    state: object
+  });
+
+  const MESSAGES = {
+    // Agent -> background
+    GET_TAB_ID: shape({}),
+    SESSION_UPDATE: shape({
+      data: shape({
+        mediaId: string,
+        mediaLabel: optional(string),
+        title: optional(string),
+        artist: optional(string),
+        album: optional(string),
+        artworkUrl: optional(string),
+        resumeKey: optional(string),
+        state: MEDIA_STATE
+      })
+    }),
+    SESSION_REMOVE: shape({ data: shape({ mediaId: string }) }),
+    // Also sent by extension pages; the background keeps entries for the diagnostics page
+    LOG: shape({
+      entry: shape({ time: finite, level: logLevel, category: string, message: string })
+    }),
+
+    // Background -> agent
+    AGENT_PING: shape({}),
+    REQUEST_STATE: shape({ frameId: count }),
+    MEDIA_CONTROL: (message, path) =>
+      shape({ frameId: count, mediaId: string, cmd: command, params: object })(message, path) ||
+      shape(COMMANDS[message.cmd])(message.params, `${path}.params`),
+
+    // Popup -> background; command parameters travel next to sessionId and cmd. With a requestId
+    // the background answers with a COMMAND_RESULT carrying it
+    CONTROL_COMMAND: (message, path) =>
+      shape({ requestId: optional(count), data: shape({ sessionId: string, cmd: command }) })(message, path) ||
+      shape(COMMANDS[message.data.cmd])(message.data, `${path}.data`),
+    PAUSE_ALL: shape({}),
+    RESUME_ALL: shape({}),
+    SOLO: shape({ sessionId: string }),
+    PIN_TARGET: shape({ sessionId: optional(string) }),
+    GET_SESSIONS: shape({}),
+    GET_HISTORY: shape({}),
+    CLEAR_HISTORY: shape({}),
+    GET_DIAGNOSTICS: shape({}),
+    CLEAR_LOGS: shape({}),
+
+    // Background -> popup
+    SESSIONS_INIT: shape({
+      sessions: listOf(SESSION),
+      resumableCount: count,
+      pinnedSessionId: optional(string)
+    }),
+    SESSION_UPDATED: shape({ session: SESSION }),
+    SESSION_REMOVED: shape({ sessionId: string }),
+    RESUMABLE_CHANGED: shape({ count }),
+    TARGET_CHANGED: shape({ sessionId: optional(string) }),
+    COMMAND_RESULT: shape({ requestId: count, ok: boolean, error: optional(string) })
+  };
+
+  function create(type, fields = {}) {
+    return { type, version: VERSION, ...fields };
+  }
+
+  // Returns why the message is unacceptable, or null when it may be acted on
+  function validate(message) {
+    if (!message || typeof message !== 'object') {
+      return 'message must be an object';
+    }
+    if (message.version !== VERSION) {
+      return `protocol version ${message.version} does not match ${VERSION}`;
+    }
+    if (!Object.prototype.hasOwnProperty.call(MESSAGES, message.type)) {
+      return `unknown message type ${message.type}`;
+    }
+    return MESSAGES[message.type](message, message.type);
+  }
+
+  // The parameters a validated command declares, dropping anything else the source carries
+  function pickParams(cmd, source) {
+    const params = {};
+    for (const key of Object.keys(COMMANDS[cmd] || {})) {
+      if (source[key] !== undefined) {
+        params[key] = source[key];
+      }
+    }
+    return params;
+  }
+
+  global.MediaProtocol = {
+    VERSION,
+    COMMANDS,
+    create,
+    validate,
+    pickParams
+  };
+
+})(globalThis);
@@ -0,0 +1,113 @@
+// Settings - User preferences in storage.sync, shared by background, agent, popup and options page
+(function(global) {
+  'use strict';
+
+  // Bump whenever the module's interface changes. An agent injected to replace a stale one must not
+  // pick up the copy the stale agent left in the tab
+  const VERSION = 1;
+
+  // Prevent multiple injections of the same version
+  if (global.MediaSettings && global.MediaSettings.VERSION === VERSION) {
+    return;
+  }
+
+  // Use browser API (Firefox) or chrome API (Chrome) for cross-compatibility
+  const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+  const DEFAULTS = {
+    seekForwardStep: 10, // seconds
+    seekBackwardStep: 10, // seconds
+    rateStep: 0.25, // playback speed shortcut step
+    // Sites whose players exist before they become audible (and stay around while paused)
+    alwaysInjectSites: [
+      '*://open.spotify.com/*',
+      '*://*.youtube.com/*',
+      '*://soundcloud.com/*'
+    ],
+    progressThrottleMs: 300, // minimum ms between progress-only updates
+    exclusivePlayback: false, // pause other sessions when one starts playing
+    exclusiveResume: false, // resume them when that session pauses, ends or closes
+    exclusiveExceptions: [], // match patterns of pages exclusive playback never pauses
+    resumePositions: 'offer', // off | offer | auto: what to do with a saved position in long media
+    resumeMinMinutes: 10, // media shorter than this never has its position saved
+    defaultSort: 'playing', // playing | recent | title | site
+    theme: 'dark', // dark | light | system
+    logLevel: 'warn', // debug | info | warn | error: the least severe messages logged
+    // Categories whose debug and info messages are logged; warnings and errors always are
+    logCategories: ['sessions', 'agents', 'commands', 'messages', 'storage', 'media', 'adapters', 'ui']
+  };
+
+  // logger.js takes its level from these settings, so it loads after this file; look it up when needed
+  function storageLog() {
+    return global.MediaLogger.create('storage');
+  }
+
+  // Missing keys fall back to their defaults
+  async function load() {
+    try {
+      return await browserAPI.storage.sync.get(DEFAULTS);
+    } catch (error) {
+      storageLog().error('Error loading settings:', error);
+      return { ...DEFAULTS };
+    }
+  }
+
+  function save(values) {
+    return browserAPI.storage.sync.set(values);
+  }
+
+  function reset() {
+    return browserAPI.storage.sync.remove(Object.keys(DEFAULTS));
+  }
+
+  // Calls back with only the settings that changed; removed keys report their default
+  function onChange(callback) {
+    browserAPI.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync') return;
+
+      const updated = {};
+      for (const key of Object.keys(DEFAULTS)) {
+        if (key in changes) {
+          updated[key] = changes[key].newValue !== undefined ? changes[key].newValue : DEFAULTS[key];
+        }
+      }
+
+      if (Object.keys(updated).length > 0) {
+        callback(updated);
+      }
+    });
+  }
+
+  // Convert a WebExtension match pattern ("*://*.example.com/*") into a RegExp for URLs;
+  // null when the pattern is invalid
+  function matchPatternToRegExp(pattern) {
+    if (pattern === '<all_urls>') return /^(https?|wss?|file|ftp):/;
+
+    const match = /^(\*|https?|wss?|file|ftp):\/\/(\*|\*\.[^/*]+|[^/*]*)(\/.*)$/.exec(pattern);
+    if (!match) return null;
+
+    const [, scheme, host, path] = match;
+    const escape = (str) => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const schemePart = scheme === '*' ? 'https?' : scheme;
+    let hostPart = escape(host);
+    if (host === '*') {
+      hostPart = '[^/]+';
+    } else if (host.startsWith('*.')) {
+      hostPart = `([^/]+\\.)?${escape(host.slice(2))}`;
+    }
+    const pathPart = escape(path).replace(/\*/g, '.*');
+
+    return new RegExp(`^${schemePart}://${hostPart}(:\\d+)?${pathPart}$`);
+  }
+
+  global.MediaSettings = {
+    VERSION,
+    DEFAULTS,
+    load,
+    save,
+    reset,
+    onChange,
+    matchPatternToRegExp
+  };
+
+})(globalThis);
@@ -0,0 +1,381 @@
+// Site Adapters - Declarative descriptions of web players that don't expose a usable <video>/<audio>
+// Injected before mediaAgent.js; every reader takes a root (document or fixture) so adapters can be
+// exercised against saved HTML without a live page.
+(function() {
+  'use strict';
+
+  // Bump whenever the registry's interface or an adapter changes (see settings.js)
+  const VERSION = 1;
+
+  // Prevent multiple injections of the same version
+  if (window.MediaSiteAdapters && window.MediaSiteAdapters.VERSION === VERSION) {
+    return;
+  }
+
+  // Fallbacks used by the agent when the current site has no adapter
+  const GENERIC_SELECTORS = {
+    previous: ['.player .previous', '.ytp-prev-button', '[aria-label*="Previous"]', '[data-testid*="previous"]'],
+    next: ['.player .next', '.ytp-next-button', '[aria-label*="Next"]', '[data-testid*="next"]']
+  };
+
+  const adapters = [];
+
+  function parseTimeString(timeStr) {
+    // Parse time strings like "1:23", "0:45", or "1:23:45" to seconds
+    if (!timeStr) return 0;
+
+    const cleanStr = timeStr.trim().replace(/[^\d:]/g, ''); // Remove non-digits and non-colons
+    const parts = cleanStr.split(':');
+
+    if (parts.length === 2) {
+      // MM:SS format
+      const minutes = parseInt(parts[0], 10) || 0;
+      const seconds = parseInt(parts[1], 10) || 0;
+      return minutes * 60 + seconds;
+    } else if (parts.length === 3) {
+      // HH:MM:SS format
+      const hours = parseInt(parts[0], 10) || 0;
+      const minutes = parseInt(parts[1], 10) || 0;
+      const seconds = parseInt(parts[2], 10) || 0;
+      return hours * 3600 + minutes * 60 + seconds;
+    }
+
+    return 0;
+  }
+
+  // Parse "1:23 / 4:56" style combined displays into [current, duration]
+  function parseTimePair(text, parseTime = parseTimeString) {
+    if (!text || !text.includes('/')) return [0, 0];
+    const [current, duration] = text.split('/');
+    return [parseTime(current), parseTime(duration)];
+  }
+
+  function queryFirst(root, selectors) {
+    if (!root || !selectors) return null;
+    for (const selector of selectors) {
+      const el = root.querySelector(selector);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  function readText(root, selectors) {
+    const el = queryFirst(root, selectors);
+    const text = el && el.textContent ? el.textContent.trim() : '';
+    return text || null;
+  }
+
+  // Volume-like controls are either range inputs or ARIA sliders
+  function readSliderFraction(el) {
+    if (!el) return null;
+
+    let min, max, value;
+    if (el.tagName === 'INPUT') {
+      min = parseFloat(el.min) || 0;
+      max = parseFloat(el.max) || 100;
+      value = parseFloat(el.value);
+    } else if (el.hasAttribute('aria-valuenow')) {
+      min = parseFloat(el.getAttribute('aria-valuemin')) || 0;
+      max = parseFloat(el.getAttribute('aria-valuemax')) || 100;
+      value = parseFloat(el.getAttribute('aria-valuenow'));
+    } else {
+      return null;
+    }
+
+    if (isNaN(value)) return null;
+    return Math.max(0, Math.min(1, (value - min) / (max - min || 1)));
+  }
+
+  function readImageUrl(root, selectors) {
+    const el = queryFirst(root, selectors);
+    if (!el) return null;
+    if (el.tagName === 'IMG') return el.currentSrc || el.src || null;
+
+    // Some players paint artwork as a CSS background
+    const match = /url\(["']?(.*?)["']?\)/.exec(el.style.backgroundImage || '');
+    return match ? match[1] : null;
+  }
+
+  function register(adapter) {
+    if (!adapter || !adapter.id || !Array.isArray(adapter.hosts)) {
+      throw new Error('Site adapter requires an id and a hosts list');
+    }
+
+    const existing = adapters.findIndex(a => a.id === adapter.id);
+    if (existing !== -1) {
+      adapters.splice(existing, 1, adapter);
+    } else {
+      adapters.push(adapter);
+    }
+    return adapter;
+  }
+
+  function match(hostname) {
+    if (!hostname) return null;
+    return adapters.find(adapter =>
+      adapter.hosts.some(host => hostname === host || hostname.endsWith('.' + host))
+    ) || null;
+  }
+
+  function readPaused(adapter, root) {
+    if (typeof adapter.isPlaying === 'function') {
+      return !adapter.isPlaying(root);
+    }
+    return !queryFirst(root, adapter.selectors.playing);
+  }
+
+  function readTimes(adapter, root) {
+    const parseTime = adapter.parseTime || parseTimeString;
+    const { selectors } = adapter;
+
+    if (selectors.timeInfo) {
+      return parseTimePair(readText(root, selectors.timeInfo), parseTime);
+    }
+
+    const position = readText(root, selectors.position);
+    const currentTime = position ? parseTime(position) : 0;
+
+    // Some players show the time left instead of the length
+    if (selectors.remaining) {
+      const remaining = readText(root, selectors.remaining);
+      return [currentTime, remaining ? currentTime + parseTime(remaining) : 0];
+    }
+
+    const duration = readText(root, selectors.duration);
+    return [currentTime, duration ? parseTime(duration) : 0];
+  }
+
+  function readMuted(adapter, root) {
+    if (adapter.selectors.muted) {
+      return !!queryFirst(root, adapter.selectors.muted);
+    }
+
+    const muteButton = queryFirst(root, adapter.selectors.muteButton);
+    if (!muteButton) return null;
+
+    // aria-label describes the action the button will perform when clicked.
+    // "Unmute" label means the player is currently muted (button will unmute it).
+    // "Mute" label means the player is currently unmuted (button will mute it).
+    const aria = (muteButton.getAttribute('aria-label') || muteButton.getAttribute('title') || '').toLowerCase();
+    if (aria.includes('unmute')) return true;
+    if (aria.includes('mute')) return false;
+    return null;
+  }
+
+  // Snapshot of the player state as shown in the page; null fields mean "could not detect"
+  function readState(adapter, root) {
+    const [currentTime, duration] = readTimes(adapter, root);
+    return {
+      paused: readPaused(adapter, root),
+      currentTime,
+      duration,
+      volume: readSliderFraction(queryFirst(root, adapter.selectors.volumeInput)),
+      muted: readMuted(adapter, root)
+    };
+  }
+
+  function readMetadata(adapter, root) {
+    if (typeof adapter.extractMetadata === 'function') {
+      return adapter.extractMetadata(root);
+    }
+    return {
+      title: readText(root, adapter.selectors.title),
+      artist: readText(root, adapter.selectors.artist),
+      album: readText(root, adapter.selectors.album),
+      artworkUrl: readImageUrl(root, adapter.selectors.artwork)
+    };
+  }
+
+  register({
+    id: 'spotify',
+    name: 'Spotify',
+    hosts: ['spotify.com'],
+    // Spotify's play/pause ignores synthetic clicks at times; a Space keypress is tried first
+    toggleKey: ' ',
+    selectors: {
+      playPause: [
+        '[data-testid="control-button-playpause"]',
+        '[aria-label*="Play"]',
+        '[aria-label*="Pause"]',
+        '.control-button',
+        '.player-controls button'
+      ],
+      playing: ['[data-testid="control-button-playpause"][aria-label*="Pause"]'],
+      next: [
+        '[data-testid="control-button-skip-forward"]',
+        '[data-testid="control-button-next"]',
+        '[aria-label*="Next"]',
+        '.next-button',
+        '.spoticon-skip-forward'
+      ],
+      previous: [
+        '[data-testid="control-button-skip-back"]',
+        '[data-testid="control-button-previous"]',
+        '[aria-label*="Previous"]',
+        '.prev-button',
+        '.spoticon-skip-back'
+      ],
+      playerArea: ['[data-testid="now-playing-widget"]', '.now-playing', '.player-controls'],
+      progressBar: [
+        '[data-testid="progress-bar"]',
+        '.progress-bar',
+        '.playback-bar__progress-time',
+        '.playback-bar .progress-bar',
+        '[role="progressbar"]'
+      ],
+      progressInput: ['input[type="range"][data-testid*="progress"]'],
+      position: [
+        '[data-testid="playback-position"]',
+        '.playback-bar__progress-time',
+        '.progress-time-elapsed',
+        '[aria-label*="elapsed"]'
+      ],
+      duration: [
+        '[data-testid="playback-duration"]',
+        '.playback-bar__duration',
+        '.progress-time-remaining',
+        '[aria-label*="duration"]'
+      ],
+      volumeBar: ['[data-testid="volume-bar"]', '.volume-slider', '.volume-bar input'],
+      volumeInput: [
+        '[data-testid="volume-bar"] input',
+        '.volume-bar input',
+        'input[type="range"][aria-label*="volume"]'
+      ],
+      muteButton: [
+        '[data-testid="volume-button"]',
+        '[aria-label*="Mute"]',
+        '[aria-label*="Unmute"]',
+        '.volume-icon'
+      ],
+      nowPlaying: ['[data-testid="now-playing-widget"]', '.now-playing'],
+      title: ['[data-testid="context-item-link"]', '.track-info__name'],
+      artist: ['[data-testid="context-item-info-artist"]', '.track-info__artists'],
+      artwork: ['[data-testid="now-playing-widget"] img', '.cover-art img']
+    }
+  });
+
+  register({
+    id: 'youtube-music',
+    name: 'YouTube Music',
+    hosts: ['music.youtube.com'],
+    selectors: {
+      playPause: ['#play-pause-button'],
+      playing: ['#play-pause-button[title="Pause"]', '#play-pause-button[aria-label="Pause"]'],
+      next: ['.next-button'],
+      previous: ['.previous-button'],
+      playerArea: ['ytmusic-player-bar'],
+      progressBar: ['#progress-bar #sliderBar', '#progress-bar'],
+      progressInput: ['#progress-bar input'],
+      timeInfo: ['ytmusic-player-bar .time-info'],
+      volumeBar: ['#volume-slider #sliderBar', '#volume-slider'],
+      volumeInput: ['#volume-slider'],
+      muteButton: ['ytmusic-player-bar .volume'],
+      nowPlaying: ['ytmusic-player-bar'],
+      title: ['ytmusic-player-bar .title'],
+      artist: ['ytmusic-player-bar .byline a', 'ytmusic-player-bar .byline'],
+      artwork: ['ytmusic-player-bar img.image', 'ytmusic-player-bar .image img']
+    }
+  });
+
+  register({
+    id: 'soundcloud',
+    name: 'SoundCloud',
+    hosts: ['soundcloud.com'],
+    selectors: {
+      playPause: ['.playControls .playControl', '.playControl'],
+      playing: ['.playControl.playing'],
+      next: ['.skipControl__next'],
+      previous: ['.skipControl__previous'],
+      playerArea: ['.playControls__elements'],
+      progressBar: ['.playbackTimeline__progressWrapper'],
+      position: ['.playbackTimeline__timePassed span[aria-hidden="true"]', '.playbackTimeline__timePassed'],
+      duration: ['.playbackTimeline__duration span[aria-hidden="true"]', '.playbackTimeline__duration'],
+      volumeBar: ['.volume__sliderWrapper'],
+      volumeInput: ['.volume__sliderWrapper'],
+      muteButton: ['.volume__button'],
+      muted: ['.volume.muted'],
+      nowPlaying: ['.playbackSoundBadge'],
+      title: ['.playbackSoundBadge__titleLink span[aria-hidden="true"]', '.playbackSoundBadge__titleLink'],
+      artist: ['.playbackSoundBadge__lightLink'],
+      artwork: ['.playbackSoundBadge__avatar .sc-artwork span', '.playbackSoundBadge__avatar .sc-artwork']
+    }
+  });
+
+  register({
+    id: 'deezer',
+    name: 'Deezer',
+    hosts: ['deezer.com'],
+    selectors: {
+      playPause: ['[data-testid="play_button_pause"]', '[data-testid="play_button_play"]'],
+      playing: ['[data-testid="play_button_pause"]'],
+      next: ['[data-testid="next_track_button"]'],
+      previous: ['[data-testid="previous_track_button"]'],
+      playerArea: ['.player-bottom', '#page_player'],
+      progressBar: ['[data-testid="progress_bar"]', '.slider-track'],
+      progressInput: ['[data-testid="progress_bar"] input[type="range"]', 'input[type="range"][aria-label*="progress" i]'],
+      position: ['[data-testid="elapsed_time"]'],
+      remaining: ['[data-testid="remaining_time"]'],
+      volumeBar: ['[data-testid="volume_slider"]'],
+      volumeInput: ['[data-testid="volume_slider"] input[type="range"]', '[data-testid="volume_slider"]'],
+      muteButton: ['[data-testid="volume_button"]'],
+      nowPlaying: ['.player-bottom', '#page_player'],
+      title: ['[data-testid="item_title"]'],
+      artist: ['[data-testid="item_subtitle"]'],
+      artwork: ['.player-bottom img', '#page_player img']
+    }
+  });
+
+  register({
+    id: 'bandcamp',
+    name: 'Bandcamp',
+    hosts: ['bandcamp.com'],
+    selectors: {
+      playPause: ['.inline_player .playbutton', '.playbutton'],
+      playing: ['.playbutton.playing'],
+      next: ['.nextbutton'],
+      previous: ['.prevbutton'],
+      playerArea: ['.inline_player'],
+      progressBar: ['.progbar_empty', '.progbar'],
+      position: ['.time_elapsed'],
+      duration: ['.time_total'],
+      nowPlaying: ['.inline_player'],
+      title: ['.inline_player .title', '.trackTitle'],
+      artist: ['#name-section h3 span a', '#band-name-location .title'],
+      artwork: ['#tralbumArt img', '.popupImage img']
+    }
+  });
+
+  register({
+    id: 'twitch',
+    name: 'Twitch',
+    hosts: ['twitch.tv'],
+    selectors: {
+      playPause: ['[data-a-target="player-play-pause-button"]'],
+      playing: ['[data-a-target="player-play-pause-button"][data-a-player-state="playing"]'],
+      playerArea: ['.video-player__overlay', '[data-a-target="video-player"]'],
+      volumeBar: ['[data-a-target="player-volume-slider"]'],
+      volumeInput: ['[data-a-target="player-volume-slider"]'],
+      muteButton: ['[data-a-target="player-mute-unmute-button"]'],
+      nowPlaying: ['[data-a-target="stream-title"]'],
+      title: ['[data-a-target="stream-title"]'],
+      artist: ['[data-a-target="stream-game-link"]', 'h1.tw-title'],
+      artwork: ['.channel-info-content img.tw-image-avatar']
+    }
+  });
+
+  window.MediaSiteAdapters = {
+    VERSION,
+    GENERIC_SELECTORS,
+    register,
+    match,
+    list: () => adapters.slice(),
+    readState,
+    readMetadata,
+    queryFirst,
+    readSliderFraction,
+    parseTimeString,
+    parseTimePair
+  };
+
+})();
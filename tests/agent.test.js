@@ -0,0 +1,255 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadAgent, settle } = require('./helpers/load');
+
+const VERSION = 2;
+
+// Loads the agent and closes the page when the test ends, so discovery retries don't outlive it
+async function agentFor(t, fixture, options) {
+  const agent = await loadAgent(fixture, options);
+  t.after(() => agent.window.close());
+  return agent;
+}
+
+function sentByAgent(agent, type) {
+  return agent.browser.callsTo('runtime.sendMessage').map(([message]) => message).filter(message => message.type === type);
+}
+
+function control(agent, mediaId, cmd, params = {}, frameId = 0) {
+  return agent.browser.runtime.deliverMessage({ type: 'MEDIA_CONTROL', version: VERSION, frameId, mediaId, cmd, params });
+}
+
+describe('media discovery', () => {
+  it('asks for its tab id, then reports the page media with the page metadata', async (t) => {
+    const agent = await agentFor(t, 'video-page.html', {
+      beforeLoad: ({ document, setMediaState }) => {
+        setMediaState(document.getElementById('lecture'), { paused: false, readyState: 4, currentTime: 30, duration: 1200 });
+      }
+    });
+
+    const [first] = agent.browser.callsTo('runtime.sendMessage')[0];
+    assert.equal(first.type, 'GET_TAB_ID');
+
+    const update = sentByAgent(agent, 'SESSION_UPDATE').at(-1);
+    assert.equal(agent.window.MediaProtocol.validate(update), null);
+    assert.equal(update.data.mediaId, 'm1');
+    assert.equal(update.data.mediaLabel, 'lecture-4.mp4');
+    assert.equal(update.data.title, 'Lecture 4: Sorting');
+    assert.equal(update.data.artworkUrl, 'https://media.example/lecture-4.jpg');
+    assert.equal(update.data.state.paused, false);
+    assert.equal(update.data.state.currentTime, 30);
+    assert.equal(update.data.state.duration, 1200);
+    assert.equal(update.data.state.isVideo, true);
+  });
+
+  it('skips decorative and remote-playback-disabled media when scoring elements', async (t) => {
+    const agent = await agentFor(t, 'mixed-media.html', {
+      beforeLoad: ({ document, setMediaState }) => {
+        setMediaState(document.getElementById('backdrop'), { paused: false, readyState: 4, duration: 20 });
+        document.getElementById('jingle').disableRemotePlayback = true;
+      }
+    });
+
+    const labels = new Set(sentByAgent(agent, 'SESSION_UPDATE').map(message => message.data.mediaLabel));
+    assert.deepEqual(Array.from(labels), ['live.mp3']);
+  });
+
+  it('reports state changes from the page', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+    const video = agent.document.getElementById('lecture');
+
+    video.volume = 0.25;
+    await settle();
+
+    const update = sentByAgent(agent, 'SESSION_UPDATE').at(-1);
+    assert.equal(update.data.state.volume, 0.25);
+  });
+});
+
+describe('detached media', () => {
+  // Stands in for Firefox's Xray helpers so the agent hooks the page's play() and sees new Audio()
+  function exposePageMethods({ window }) {
+    window.wrappedJSObject = window;
+    window.exportFunction = (fn, target, { defineAs }) => {
+      target[defineAs] = fn;
+    };
+  }
+
+  async function playDetached(agent) {
+    const audio = new agent.window.Audio('https://media.example/ping.mp3');
+    agent.setMediaState(audio, { readyState: 4, duration: 1 });
+    await audio.play();
+    await settle();
+    return audio;
+  }
+
+  it('lets go of an element that was never in the document once it ends', async (t) => {
+    const agent = await agentFor(t, 'video-page.html', { beforeLoad: exposePageMethods });
+    const audio = await playDetached(agent);
+    assert.ok(sentByAgent(agent, 'SESSION_UPDATE').some(message => message.data.mediaLabel === 'ping.mp3'));
+
+    agent.setMediaState(audio, { paused: true, ended: true });
+    audio.dispatchEvent(new agent.window.Event('ended'));
+    await settle();
+
+    assert.deepEqual(sentByAgent(agent, 'SESSION_REMOVE').map(message => message.data.mediaId), ['m2']);
+  });
+
+  it('prunes a detached element like any other once the page has inserted it', async (t) => {
+    const agent = await agentFor(t, 'video-page.html', { beforeLoad: exposePageMethods });
+    const audio = await playDetached(agent);
+
+    agent.document.body.append(audio);
+    // The observer looks at added media after a short delay
+    await new Promise(resolve => setTimeout(resolve, 150));
+    audio.remove();
+    await settle();
+
+    assert.deepEqual(sentByAgent(agent, 'SESSION_REMOVE').map(message => message.data.mediaId), ['m2']);
+  });
+});
+
+describe('control commands', () => {
+  it('plays and pauses the addressed element and answers with the result', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+    const video = agent.document.getElementById('lecture');
+
+    assert.deepEqual(await control(agent, 'm1', 'toggle'), { ok: true });
+    assert.equal(video.paused, false);
+
+    assert.deepEqual(await control(agent, 'm1', 'pause'), { ok: true });
+    assert.equal(video.paused, true);
+
+    assert.deepEqual(await control(agent, 'm1', 'setVolume', { volume: 0.4 }), { ok: true });
+    assert.equal(video.volume, 0.4);
+  });
+
+  it('reports playback the site refused', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+    agent.setMediaState(agent.document.getElementById('lecture'), { playError: 'NotAllowedError' });
+
+    assert.deepEqual(await control(agent, 'm1', 'play'), { ok: false, error: 'The site blocked playback' });
+  });
+
+  it('falls back to the page buttons for previous and next track', async (t) => {
+    const agent = await agentFor(t, 'mixed-media.html');
+    let clicks = 0;
+    agent.document.querySelector('button').addEventListener('click', () => clicks++);
+
+    assert.deepEqual(await control(agent, 'm1', 'nextTrack'), { ok: true });
+    assert.equal(clicks, 1);
+    assert.deepEqual(await control(agent, 'm1', 'previousTrack'), { ok: false, error: 'No previous track button on this page' });
+  });
+
+  it('answers once the page\'s Media Session handler has finished, with its failure if it threw', async (t) => {
+    let resolvePlay;
+    const agent = await agentFor(t, 'video-page.html', {
+      mediaSession: true,
+      beforeLoad: ({ window }) => {
+        window.navigator.mediaSession.setActionHandler('play', () => new Promise(resolve => {
+          resolvePlay = resolve;
+        }));
+        window.navigator.mediaSession.setActionHandler('pause', () => {
+          throw new Error('Player not ready');
+        });
+      }
+    });
+
+    let answered = false;
+    const played = control(agent, 'm1', 'play').then(result => {
+      answered = true;
+      return result;
+    });
+    await settle();
+    assert.equal(answered, false);
+    resolvePlay();
+    assert.deepEqual(await played, { ok: true });
+
+    assert.deepEqual(await control(agent, 'm1', 'pause'), { ok: false, error: "The page's player reported an error" });
+  });
+
+  it('reports a site player volume it could not set', async (t) => {
+    // jsdom lays nothing out, so Spotify's custom slider has no position to click
+    const agent = await agentFor(t, 'spotify-player.html', { url: 'https://open.spotify.com/album/windowlicker' });
+
+    assert.deepEqual(await control(agent, 'virtual', 'setVolume', { volume: 0.5 }), { ok: false, error: "Couldn't set the player's volume" });
+  });
+
+  it('fails commands for media it no longer tracks', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+
+    assert.deepEqual(await control(agent, 'm9', 'play'), { ok: false, error: 'The media is no longer on the page' });
+  });
+});
+
+describe('background messages', () => {
+  it('answers pings with its protocol version', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+
+    assert.deepEqual(await agent.browser.runtime.deliverMessage({ type: 'AGENT_PING', version: VERSION }), { ready: true, version: VERSION });
+    // Whatever the sender's version, so an updated background can tell this agent is stale
+    assert.deepEqual(await agent.browser.runtime.deliverMessage({ type: 'AGENT_PING', version: 1 }), { ready: true, version: VERSION });
+  });
+
+  it('lists and re-sends its media when the background asks for its state', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+    const updatesBefore = sentByAgent(agent, 'SESSION_UPDATE').length;
+
+    const response = await agent.browser.runtime.deliverMessage({ type: 'REQUEST_STATE', version: VERSION, frameId: 0 });
+
+    assert.deepEqual(response, { mediaIds: ['m1'] });
+    assert.equal(sentByAgent(agent, 'SESSION_UPDATE').length, updatesBefore + 1);
+  });
+
+  it('ignores commands addressed to other frames', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+
+    assert.equal(await control(agent, 'm1', 'play', {}, 3), undefined);
+    assert.equal(agent.document.getElementById('lecture').paused, true);
+  });
+
+  it('rejects messages from another protocol version or with bad parameters', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+    const video = agent.document.getElementById('lecture');
+
+    const stale = await agent.browser.runtime.deliverMessage({
+      type: 'MEDIA_CONTROL', version: 1, frameId: 0, mediaId: 'm1', cmd: 'play', params: {}
+    });
+    assert.match(stale.error, /version/);
+
+    const invalid = await control(agent, 'm1', 'setRate', { rate: 100 });
+    assert.deepEqual(invalid, { error: 'MEDIA_CONTROL.params.rate must be a playback rate from 0 to 16' });
+    assert.equal(video.paused, true);
+    assert.equal(video.playbackRate, 1);
+  });
+
+  it('brings its own helper modules when replacing an agent from an older version', async (t) => {
+    const stale = { stale: true };
+    const agent = await agentFor(t, 'video-page.html', {
+      beforeLoad: ({ window }) => {
+        window.MediaSettings = stale;
+        window.MediaLogger = stale;
+        window.MediaSiteAdapters = stale;
+      }
+    });
+
+    for (const name of ['MediaSettings', 'MediaLogger', 'MediaSiteAdapters']) {
+      assert.notEqual(agent.window[name], stale, name);
+    }
+    assert.equal(sentByAgent(agent, 'SESSION_UPDATE').at(-1).data.mediaId, 'm1');
+  });
+
+  it('hands its warnings to the background and keeps routine activity quiet', async (t) => {
+    const agent = await agentFor(t, 'video-page.html');
+
+    await control(agent, 'm1', 'setRate', { rate: 100 });
+
+    const logs = sentByAgent(agent, 'LOG').map(message => message.entry);
+    assert.deepEqual(logs.map(entry => [entry.level, entry.category]), [['warn', 'messages']]);
+    assert.equal(logs[0].message, 'Ignoring message: MEDIA_CONTROL.params.rate must be a playback rate from 0 to 16');
+    assert.equal(agent.console.messages.log.length, 0);
+  });
+});
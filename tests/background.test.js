@@ -0,0 +1,512 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadBackground, settle } = require('./helpers/load');
+
+const VERSION = 2;
+
+const TABS = [
+  { id: 3, windowId: 1, title: 'Lecture tab', url: 'https://video.example/watch' },
+  { id: 4, windowId: 2, title: 'Radio tab', url: 'https://radio.example/' }
+];
+
+function mediaState(values = {}) {
+  return { paused: false, muted: false, volume: 1, currentTime: 10, duration: 300, canSeek: true, ended: false, ...values };
+}
+
+function fromTab(tabId, frameId = 0) {
+  return { tab: { id: tabId }, frameId, url: TABS.find(tab => tab.id === tabId).url };
+}
+
+// What an agent in the given tab sends when its media changes
+async function agentUpdate(bg, tabId, mediaId, state, fields = {}, frameId = 0) {
+  const response = await bg.browser.runtime.deliverMessage({
+    type: 'SESSION_UPDATE',
+    version: VERSION,
+    data: { mediaId, title: 'Lecture 4', state: mediaState(state), ...fields }
+  }, fromTab(tabId, frameId));
+  await settle();
+  return response;
+}
+
+async function openPopup(bg) {
+  const port = bg.browser.runtime.openPort('popup');
+  await settle();
+  return port;
+}
+
+const ofType = (port, type) => port.received.filter(message => message.type === type);
+
+describe('session lifecycle', () => {
+  it('stores agent updates with the tab they came from and announces them to popups', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    const port = await openPopup(bg);
+
+    assert.deepEqual(ofType(port, 'SESSIONS_INIT')[0].sessions, []);
+
+    const response = await agentUpdate(bg, 3, 'm1', {});
+    assert.deepEqual(response, { success: true });
+
+    const session = bg.manager.sessions.get('3:0:m1');
+    assert.equal(session.windowId, 1);
+    assert.equal(session.title, 'Lecture 4');
+    assert.equal(session.url, 'https://video.example/watch');
+    assert.equal(bg.manager.lastActiveSessionId, '3:0:m1');
+
+    const [updated] = ofType(port, 'SESSION_UPDATED');
+    assert.equal(updated.version, VERSION);
+    assert.equal(updated.session.id, '3:0:m1');
+  });
+
+  it('falls back to the tab title when the agent has none', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    await agentUpdate(bg, 4, 'm1', {}, { title: undefined });
+
+    assert.equal(bg.manager.sessions.get('4:0:m1').title, 'Radio tab');
+  });
+
+  it('removes sessions the agent drops and the sessions of closed tabs', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    const port = await openPopup(bg);
+    await agentUpdate(bg, 3, 'm1', {});
+    await agentUpdate(bg, 3, 'm2', { paused: true });
+    await agentUpdate(bg, 4, 'm1', { paused: true });
+
+    await bg.browser.runtime.deliverMessage({ type: 'SESSION_REMOVE', version: VERSION, data: { mediaId: 'm2' } }, fromTab(3));
+    await settle();
+    assert.deepEqual(ofType(port, 'SESSION_REMOVED').map(message => message.sessionId), ['3:0:m2']);
+
+    bg.browser.removeTab(3);
+    await settle();
+    assert.deepEqual(Array.from(bg.manager.sessions.keys()), ['4:0:m1']);
+    assert.equal(bg.manager.lastActiveSessionId, '4:0:m1');
+  });
+
+  it('keeps sessions from different frames of a tab apart', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    await agentUpdate(bg, 3, 'm1', {}, {}, 0);
+    await agentUpdate(bg, 3, 'm1', { paused: true }, {}, 2);
+
+    assert.equal(bg.manager.sessions.get('3:0:m1').frameId, 0);
+    assert.equal(bg.manager.sessions.get('3:2:m1').frameId, 2);
+  });
+});
+
+describe('updateSession throttling', () => {
+  it('broadcasts progress at most once per progressThrottleMs but stores every update', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    const port = await openPopup(bg);
+    const broadcastTimes = () => ofType(port, 'SESSION_UPDATED').map(message => message.session.state.currentTime);
+
+    await agentUpdate(bg, 3, 'm1', { currentTime: 10 });
+    await agentUpdate(bg, 3, 'm1', { currentTime: 10.1 });
+    assert.deepEqual(broadcastTimes(), [10]);
+    assert.equal(bg.manager.sessions.get('3:0:m1').state.currentTime, 10.1);
+
+    bg.clock.tick(bg.manager.settings.progressThrottleMs);
+    await agentUpdate(bg, 3, 'm1', { currentTime: 10.4 });
+    assert.deepEqual(broadcastTimes(), [10, 10.4]);
+  });
+
+  it('broadcasts play and pause changes immediately', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    const port = await openPopup(bg);
+
+    await agentUpdate(bg, 3, 'm1', { currentTime: 10 });
+    await agentUpdate(bg, 3, 'm1', { currentTime: 10.1, paused: true });
+    await agentUpdate(bg, 3, 'm1', { currentTime: 10.1, paused: false });
+
+    const updates = ofType(port, 'SESSION_UPDATED').map(message => message.session.state.paused);
+    assert.deepEqual(updates, [false, true, false]);
+  });
+});
+
+describe('command routing', () => {
+  async function withSession({ frameId = 0 } = {}) {
+    const bg = await loadBackground({ tabs: TABS });
+    const agentMessages = [];
+    bg.browser.onTabMessage = (tabId, message, options) => {
+      agentMessages.push({ tabId, message, options });
+      return bg.agentReply ? bg.agentReply(message) : { ok: true };
+    };
+    await agentUpdate(bg, 3, 'm1', {}, {}, frameId);
+    return { bg, agentMessages, sessionId: `3:${frameId}:m1` };
+  }
+
+  it('sends popup commands to the frame that owns the session and relays the result', async () => {
+    const { bg, agentMessages, sessionId } = await withSession({ frameId: 2 });
+    const port = await openPopup(bg);
+
+    port.postMessage({
+      type: 'CONTROL_COMMAND',
+      version: VERSION,
+      requestId: 5,
+      data: { sessionId, cmd: 'setVolume', volume: 0.5, unexpected: 'dropped' }
+    });
+    await settle();
+
+    const [sent] = agentMessages.filter(({ message }) => message.type === 'MEDIA_CONTROL');
+    assert.equal(sent.tabId, 3);
+    assert.deepEqual(sent.options, { frameId: 2 });
+    assert.deepEqual(sent.message, {
+      type: 'MEDIA_CONTROL', version: VERSION, frameId: 2, mediaId: 'm1', cmd: 'setVolume', params: { volume: 0.5 }
+    });
+    assert.deepEqual(ofType(port, 'COMMAND_RESULT'), [{ type: 'COMMAND_RESULT', version: VERSION, requestId: 5, ok: true }]);
+  });
+
+  it('passes on why the agent could not run a command', async () => {
+    const { bg, sessionId } = await withSession();
+    bg.agentReply = () => ({ ok: false, error: 'The site blocked playback' });
+
+    const response = await bg.browser.runtime.deliverMessage({
+      type: 'CONTROL_COMMAND', version: VERSION, data: { sessionId, cmd: 'play' }
+    });
+    assert.deepEqual(response, { ok: false, error: 'The site blocked playback' });
+  });
+
+  it('fails commands for unknown sessions and drops sessions whose tab stopped answering', async () => {
+    const { bg, sessionId } = await withSession();
+    const send = (data) => bg.browser.runtime.deliverMessage({ type: 'CONTROL_COMMAND', version: VERSION, data });
+
+    assert.deepEqual(await send({ sessionId: '9:0:m1', cmd: 'play' }), { ok: false, error: 'This media has stopped' });
+
+    bg.agentReply = () => {
+      throw new Error('Could not establish connection. Receiving end does not exist.');
+    };
+    assert.deepEqual(await send({ sessionId, cmd: 'play' }), { ok: false, error: 'The tab stopped responding' });
+    assert.equal(bg.manager.sessions.has(sessionId), false);
+  });
+
+  it('rejects malformed commands without contacting the agent', async () => {
+    const { bg, agentMessages, sessionId } = await withSession();
+    const port = await openPopup(bg);
+
+    port.postMessage({ type: 'CONTROL_COMMAND', version: VERSION, requestId: 1, data: { sessionId, cmd: 'setVolume', volume: 3 } });
+    await settle();
+
+    assert.equal(agentMessages.filter(({ message }) => message.type === 'MEDIA_CONTROL').length, 0);
+    assert.deepEqual(ofType(port, 'COMMAND_RESULT'), []);
+    assert.match(String(bg.console.messages.error.at(-1)), /data\.volume must be a number from 0 to 1/);
+  });
+
+  it('sends shortcuts to the last session that started playing unless another is pinned', async () => {
+    const { bg, agentMessages } = await withSession();
+    bg.clock.tick(1000);
+    await agentUpdate(bg, 4, 'm1', {});
+    const lastTarget = () => {
+      const controls = agentMessages.filter(({ message }) => message.type === 'MEDIA_CONTROL');
+      return controls.length > 0 ? `${controls.at(-1).tabId}:${controls.at(-1).message.cmd}` : null;
+    };
+
+    bg.browser.commands.onCommand.dispatch('toggle-play');
+    await settle();
+    assert.equal(lastTarget(), '4:toggle');
+
+    const port = await openPopup(bg);
+    port.postMessage({ type: 'PIN_TARGET', version: VERSION, sessionId: '3:0:m1' });
+    await settle();
+    bg.browser.commands.onCommand.dispatch('toggle-play');
+    await settle();
+    assert.equal(lastTarget(), '3:toggle');
+  });
+});
+
+describe('exclusive playback', () => {
+  // Radio in tab 4 plays; then the lecture in tab 3 starts and the radio should be paused
+  async function startBoth(agentReply) {
+    const bg = await loadBackground({ tabs: TABS, storage: { sync: { exclusivePlayback: true } } });
+    bg.browser.onTabMessage = (tabId, message) => agentReply(tabId, message);
+    await agentUpdate(bg, 4, 'm1', {});
+    await agentUpdate(bg, 3, 'm1', {});
+    return bg;
+  }
+
+  const pausesSentTo = (bg, tabId) => bg.browser.callsTo('tabs.sendMessage')
+    .filter(([to, message]) => to === tabId && message.type === 'MEDIA_CONTROL' && message.cmd === 'pause').length;
+
+  it('counts the user\'s next play as theirs when an automatic pause failed', async () => {
+    const bg = await startBoth(() => ({ ok: false, error: 'The page did not answer' }));
+    assert.equal(pausesSentTo(bg, 4), 1);
+    assert.equal(bg.manager.commandedTransitions.has('4:0:m1'), false);
+
+    // The user pauses the radio themselves, then plays it: the lecture gets paused this time
+    await agentUpdate(bg, 4, 'm1', { paused: true });
+    await agentUpdate(bg, 4, 'm1', {});
+    assert.equal(bg.browser.callsTo('tabs.sendMessage')
+      .filter(([to, message]) => to === 3 && message.cmd === 'pause').length, 1);
+  });
+
+  it('stops waiting for an automatic pause that never shows up', async () => {
+    const bg = await startBoth(() => ({ ok: true }));
+    assert.equal(bg.manager.commandedTransitions.has('4:0:m1'), true);
+
+    bg.clock.tick(5000);
+    assert.equal(bg.manager.commandedTransitions.has('4:0:m1'), false);
+  });
+});
+
+describe('agent injection', () => {
+  it('injects every frame of a tab that turns audible, even after an embed\'s agent announced itself', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+
+    await bg.browser.runtime.deliverMessage({ type: 'GET_TAB_ID', version: VERSION }, fromTab(3, 5));
+    assert.equal(bg.manager.agentTabs.has(3), false);
+
+    bg.browser.tabs.onUpdated.dispatch(3, { audible: true }, { ...TABS[0], audible: true });
+    await settle();
+
+    const injected = bg.browser.callsTo('scripting.executeScript').map(([details]) => details);
+    assert.equal(injected.length, 1);
+    assert.equal(injected[0].target.tabId, 3);
+    assert.equal(injected[0].target.allFrames, true);
+
+    await bg.browser.runtime.deliverMessage({ type: 'GET_TAB_ID', version: VERSION }, fromTab(3));
+    assert.equal(bg.manager.agentTabs.has(3), true);
+  });
+});
+
+describe('message validation', () => {
+  it('answers malformed messages with the reason', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    bg.browser.onTabMessage = (tabId, message) => message.type === 'AGENT_PING' ? { ready: true, version: VERSION } : undefined;
+
+    const response = await bg.browser.runtime.deliverMessage({
+      type: 'SESSION_UPDATE', version: VERSION, data: { mediaId: 'm1', state: mediaState({ volume: 2 }) }
+    }, fromTab(3));
+
+    assert.deepEqual(response, { error: 'SESSION_UPDATE.data.state.volume must be a number from 0 to 1' });
+    assert.equal(bg.manager.sessions.size, 0);
+  });
+
+  it('replaces agents that speak an older protocol version', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+
+    const response = await bg.browser.runtime.deliverMessage({ type: 'GET_TAB_ID', version: 1 }, fromTab(3));
+    await settle();
+
+    assert.match(response.error, /version/);
+    const injected = bg.browser.callsTo('scripting.executeScript').map(([details]) => details);
+    assert.equal(injected.length, 1);
+    assert.equal(injected[0].target.tabId, 3);
+    assert.ok(injected[0].files.includes('protocol.js'));
+  });
+});
+
+describe('session persistence', () => {
+  it('saves sessions to storage.session shortly after they change', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    await agentUpdate(bg, 3, 'm1', {});
+    assert.equal(bg.browser.storage.session.data.sessionState, undefined);
+
+    bg.clock.tick(1000);
+    await settle();
+
+    const saved = bg.browser.storage.session.data.sessionState;
+    assert.deepEqual(saved.sessions.map(session => session.id), ['3:0:m1']);
+    assert.equal(saved.lastActiveSessionId, '3:0:m1');
+  });
+
+  it('restores saved sessions and drops media the agents no longer report', async () => {
+    const saved = (id, mediaId) => ({
+      id, tabId: 3, frameId: 0, mediaId, windowId: 1, title: mediaId, url: TABS[0].url, state: mediaState(), lastActiveAt: Date.UTC(2023, 11, 31)
+    });
+    const bg = await loadBackground({
+      tabs: TABS,
+      storage: {
+        session: {
+          sessionState: {
+            sessions: [saved('3:0:m1', 'm1'), saved('3:0:m2', 'm2')],
+            lastActiveSessionId: '3:0:m2',
+            pinnedSessionId: null,
+            pausedByPauseAll: []
+          }
+        }
+      },
+      beforeLoad: (browser) => {
+        browser.onTabMessage = (tabId, message) => message.type === 'REQUEST_STATE' ? { mediaIds: ['m1'] } : undefined;
+      }
+    });
+
+    assert.deepEqual(Array.from(bg.manager.sessions.keys()), ['3:0:m1']);
+    assert.equal(bg.manager.lastActiveSessionId, '3:0:m1');
+
+    const response = await bg.browser.runtime.deliverMessage({ type: 'GET_SESSIONS', version: VERSION });
+    assert.deepEqual(response.sessions.map(session => session.id), ['3:0:m1']);
+  });
+});
+
+describe('play history and remembered settings', () => {
+  const storedHistory = (bg) => bg.browser.storage.local.data.playHistory;
+
+  async function advance(bg, ms) {
+    bg.clock.tick(ms);
+    await settle();
+  }
+
+  it('saves track changes and pauses promptly but listening time only every 30 seconds', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+
+    await agentUpdate(bg, 3, 'm1', { currentTime: 0 });
+    await advance(bg, 2000);
+    assert.equal(storedHistory(bg)[0].title, 'Lecture 4');
+
+    for (let second = 1; second <= 10; second++) {
+      await agentUpdate(bg, 3, 'm1', { currentTime: second });
+      await advance(bg, 1000);
+    }
+    assert.equal(storedHistory(bg)[0].listenedSeconds, 0);
+
+    await agentUpdate(bg, 3, 'm1', { currentTime: 11, paused: true });
+    await advance(bg, 2000);
+    assert.equal(storedHistory(bg)[0].listenedSeconds, 12);
+  });
+
+  it('remembers a site volume only once the page has taken it', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    await agentUpdate(bg, 3, 'm1', {});
+    await agentUpdate(bg, 4, 'm1', {});
+    bg.browser.onTabMessage = (tabId) => tabId === 3 ? { ok: true } : { ok: false, error: 'The page did not answer' };
+
+    for (const sessionId of ['3:0:m1', '4:0:m1']) {
+      await bg.browser.runtime.deliverMessage({
+        type: 'CONTROL_COMMAND', version: VERSION, data: { sessionId, cmd: 'setVolume', volume: 0.3 }
+      });
+    }
+    await advance(bg, 500);
+
+    const siteVolumes = bg.browser.storage.local.data.siteVolumes;
+    assert.deepEqual(Object.keys(siteVolumes), ['video.example']);
+    assert.equal(siteVolumes['video.example'].volume, 0.3);
+  });
+
+  it('keeps no history, resume positions or site volumes from private windows', async () => {
+    const privateTab = { id: 5, windowId: 3, incognito: true, title: 'Private tab', url: 'https://video.example/private' };
+    const bg = await loadBackground({ tabs: [...TABS, privateTab] });
+    bg.browser.onTabMessage = () => ({ ok: true });
+    const sender = { tab: { id: 5, incognito: true }, frameId: 0, url: privateTab.url };
+
+    await bg.browser.runtime.deliverMessage({
+      type: 'SESSION_UPDATE',
+      version: VERSION,
+      data: { mediaId: 'm1', title: 'Private lecture', resumeKey: 'video.example/private', state: mediaState({ currentTime: 600, duration: 3600 }) }
+    }, sender);
+    await settle();
+    await bg.browser.runtime.deliverMessage({
+      type: 'CONTROL_COMMAND', version: VERSION, data: { sessionId: '5:0:m1', cmd: 'setVolume', volume: 0.3 }
+    });
+    await advance(bg, 30000);
+
+    assert.equal(bg.manager.sessions.get('5:0:m1').incognito, true);
+    assert.equal(storedHistory(bg), undefined);
+    assert.equal(bg.browser.storage.local.data.resumePositions, undefined);
+    assert.equal(bg.browser.storage.local.data.siteVolumes, undefined);
+  });
+});
+
+describe('diagnostics', () => {
+  const logEntry = (message, values = {}) => ({ time: 1, level: 'warn', category: 'media', message, ...values });
+
+  async function sendLog(bg, entry, sender) {
+    return bg.browser.runtime.deliverMessage({ type: 'LOG', version: VERSION, entry }, sender);
+  }
+
+  async function getDiagnostics(bg) {
+    const { diagnostics } = await bg.browser.runtime.deliverMessage({ type: 'GET_DIAGNOSTICS', version: VERSION });
+    return diagnostics;
+  }
+
+  it('keeps log entries from agents and extension pages with where they came from', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+
+    await sendLog(bg, logEntry('From the top frame'), fromTab(3));
+    await sendLog(bg, logEntry('From a frame'), fromTab(3, 4));
+    await sendLog(bg, logEntry('From the popup', { category: 'ui' }), { url: 'moz-extension://test-extension/popup.html' });
+
+    const { logs } = await getDiagnostics(bg);
+    assert.deepEqual(logs.map(entry => [entry.source, entry.message]), [
+      ['tab 3', 'From the top frame'],
+      ['tab 3 frame 4', 'From a frame'],
+      ['popup', 'From the popup']
+    ]);
+
+    await bg.browser.runtime.deliverMessage({ type: 'CLEAR_LOGS', version: VERSION });
+    assert.deepEqual((await getDiagnostics(bg)).logs, []);
+  });
+
+  it('logs settings that could not be loaded as a storage error', async () => {
+    const bg = await loadBackground({
+      tabs: TABS,
+      beforeLoad: (browser) => {
+        browser.storage.sync.get = async () => {
+          throw new Error('Sync storage is unavailable');
+        };
+      }
+    });
+
+    const { logs } = await getDiagnostics(bg);
+    const failures = logs.filter(entry => entry.message.startsWith('Error loading settings'));
+    assert.ok(failures.length > 0);
+    assert.ok(failures.every(entry => entry.level === 'error' && entry.category === 'storage'));
+    assert.equal(bg.manager.settings.logLevel, 'warn');
+  });
+
+  it('keeps only the newest entries once the buffer is full', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+
+    for (let i = 0; i < 510; i++) {
+      await sendLog(bg, logEntry(`Entry ${i}`), fromTab(3));
+    }
+
+    const { logs } = await getDiagnostics(bg);
+    assert.equal(logs.length, 500);
+    assert.equal(logs[0].message, 'Entry 10');
+    assert.equal(logs.at(-1).message, 'Entry 509');
+  });
+
+  it('logs only the levels and categories chosen in the options', async () => {
+    const isActivity = (entry) => entry.level === 'debug' || entry.level === 'info';
+
+    const quiet = await loadBackground({ tabs: TABS });
+    await agentUpdate(quiet, 3, 'm1', {});
+    assert.deepEqual((await getDiagnostics(quiet)).logs.filter(isActivity), []);
+    assert.equal(quiet.console.messages.log.length, 0);
+
+    const bg = await loadBackground({
+      tabs: TABS,
+      storage: { sync: { logLevel: 'debug', logCategories: ['commands'] } }
+    });
+    bg.browser.commands.onCommand.dispatch('toggle-play');
+    await agentUpdate(bg, 3, 'm1', {});
+    await bg.browser.runtime.deliverMessage({ type: 'CONTROL_COMMAND', version: VERSION, data: { sessionId: '9:0:m1', cmd: 'play' } });
+
+    const { logs } = await getDiagnostics(bg);
+    assert.deepEqual(logs.filter(isActivity).map(entry => [entry.source, entry.category, entry.message]), [
+      ['background', 'commands', 'No active session for command: toggle-play']
+    ]);
+    // Warnings are kept whatever their category
+    assert.ok(logs.some(entry => entry.level === 'warn' && entry.message === 'Session not found: 9:0:m1'));
+  });
+
+  it('reports sessions and what each tab\'s agent answers', async () => {
+    const bg = await loadBackground({ tabs: TABS });
+    bg.browser.onTabMessage = (tabId, message) => {
+      if (message.type === 'AGENT_PING') return tabId === 3 ? { ready: true, version: VERSION } : { ready: true, version: 1 };
+      return { ok: true };
+    };
+    await bg.browser.runtime.deliverMessage({ type: 'GET_TAB_ID', version: VERSION }, fromTab(3));
+    await agentUpdate(bg, 3, 'm1', {});
+    await bg.browser.runtime.deliverMessage({ type: 'GET_TAB_ID', version: 1 }, fromTab(4));
+    await settle();
+
+    const diagnostics = await getDiagnostics(bg);
+    assert.equal(diagnostics.protocolVersion, VERSION);
+    assert.equal(diagnostics.extensionVersion, '0.1.0');
+    assert.deepEqual(diagnostics.sessions.map(session => session.id), ['3:0:m1']);
+    assert.deepEqual(diagnostics.agents.sort((a, b) => a.tabId - b.tabId), [
+      { tabId: 3, title: 'Lecture tab', url: TABS[0].url, announced: true, replacing: false, agentVersion: VERSION, sessionCount: 1 },
+      { tabId: 4, title: 'Radio tab', url: TABS[1].url, announced: false, replacing: true, agentVersion: 1, sessionCount: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,291 @@
+// Fake Browser - In-memory stand-in for the parts of the WebExtension `browser` API the extension
+// uses. Events can be fired from tests, and every API call is recorded in `calls`.
+'use strict';
+
+class FakeEvent {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  removeListener(listener) {
+    this.listeners = this.listeners.filter(l => l !== listener);
+  }
+
+  hasListener(listener) {
+    return this.listeners.includes(listener);
+  }
+
+  // Calls every listener; returns what they returned
+  dispatch(...args) {
+    return this.listeners.map(listener => listener(...args));
+  }
+}
+
+class FakeStorageArea {
+  constructor(areaName, onChanged) {
+    this.areaName = areaName;
+    this.onChanged = onChanged;
+    this.data = {};
+  }
+
+  // Accepts null, a key, a list of keys or an object of defaults, like the real API
+  async get(keys) {
+    if (keys === null || keys === undefined) {
+      return structuredClone(this.data);
+    }
+
+    const defaults = typeof keys === 'string' || Array.isArray(keys)
+      ? Object.fromEntries([].concat(keys).map(key => [key, undefined]))
+      : keys;
+
+    const result = {};
+    for (const [key, fallback] of Object.entries(defaults)) {
+      if (key in this.data) {
+        result[key] = structuredClone(this.data[key]);
+      } else if (fallback !== undefined) {
+        result[key] = structuredClone(fallback);
+      }
+    }
+    return result;
+  }
+
+  async set(items) {
+    const changes = {};
+    for (const [key, value] of Object.entries(items)) {
+      changes[key] = { oldValue: this.data[key], newValue: structuredClone(value) };
+      this.data[key] = structuredClone(value);
+    }
+    this.onChanged.dispatch(changes, this.areaName);
+  }
+
+  async remove(keys) {
+    const changes = {};
+    for (const key of [].concat(keys)) {
+      if (key in this.data) {
+        changes[key] = { oldValue: this.data[key] };
+        delete this.data[key];
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      this.onChanged.dispatch(changes, this.areaName);
+    }
+  }
+}
+
+// One end of a runtime.connect() channel. Messages arrive asynchronously, as in Firefox, and
+// each end keeps what it received in `received`.
+class FakePort {
+  constructor(name) {
+    this.name = name;
+    this.onMessage = new FakeEvent();
+    this.onDisconnect = new FakeEvent();
+    this.received = [];
+    this.peer = null;
+    this.connected = true;
+  }
+
+  postMessage(message) {
+    if (!this.connected) {
+      throw new Error('Attempt to postMessage on disconnected port');
+    }
+    const peer = this.peer;
+    const copy = structuredClone(message);
+    Promise.resolve().then(() => {
+      if (!peer.connected) return;
+      peer.received.push(copy);
+      peer.onMessage.dispatch(copy, peer);
+    });
+  }
+
+  disconnect() {
+    if (!this.connected) return;
+    this.connected = false;
+    this.peer.connected = false;
+    this.peer.onDisconnect.dispatch(this.peer);
+  }
+}
+
+function createPortPair(name) {
+  const near = new FakePort(name);
+  const far = new FakePort(name);
+  near.peer = far;
+  far.peer = near;
+  return [near, far];
+}
+
+// Calls runtime.onMessage listeners the way Firefox does and resolves with the response:
+// a listener answers through sendResponse, synchronously or (after returning true) later
+function deliverMessage(onMessage, message, sender) {
+  return new Promise((resolve) => {
+    let answered = false;
+    const sendResponse = (response) => {
+      if (answered) return;
+      answered = true;
+      resolve(structuredClone(response));
+    };
+
+    const results = onMessage.dispatch(structuredClone(message), sender, sendResponse);
+    if (!answered && !results.some(result => result === true)) {
+      resolve(undefined);
+    }
+  });
+}
+
+function createFakeBrowser({ manifest = {}, windowId = 1 } = {}) {
+  const calls = [];
+  const record = (name, result) => (...args) => {
+    calls.push({ name, args });
+    return Promise.resolve(typeof result === 'function' ? result(...args) : result);
+  };
+
+  const tabs = new Map();
+  const registeredScripts = [];
+  const storageChanged = new FakeEvent();
+
+  const browser = {
+    calls,
+    // Ports opened by this context with runtime.connect(); tests talk through the far ends
+    remotePorts: [],
+
+    // Replies to runtime.sendMessage() from this context; tests replace it
+    onRuntimeMessage: () => undefined,
+    // Replies to tabs.sendMessage(); the default mimics a tab without a content script
+    onTabMessage: () => {
+      throw new Error('Could not establish connection. Receiving end does not exist.');
+    },
+
+    // Calls recorded for one API, e.g. callsTo('tabs.sendMessage')
+    callsTo(name) {
+      return calls.filter(call => call.name === name).map(call => call.args);
+    },
+
+    addTab(tab) {
+      const full = { windowId, active: false, audible: false, title: '', url: 'about:blank', ...tab };
+      tabs.set(full.id, full);
+      return full;
+    },
+
+    removeTab(tabId) {
+      tabs.delete(tabId);
+      browser.tabs.onRemoved.dispatch(tabId, { windowId, isWindowClosing: false });
+    },
+
+    tabs: {
+      onUpdated: new FakeEvent(),
+      onRemoved: new FakeEvent(),
+      onAttached: new FakeEvent(),
+      onDetached: new FakeEvent(),
+
+      async get(tabId) {
+        if (!tabs.has(tabId)) {
+          throw new Error(`Invalid tab ID: ${tabId}`);
+        }
+        return structuredClone(tabs.get(tabId));
+      },
+
+      async query(queryInfo = {}) {
+        return Array.from(tabs.values())
+          .filter(tab => Object.entries(queryInfo).every(([key, value]) => tab[key] === value))
+          .map(tab => structuredClone(tab));
+      },
+
+      async sendMessage(tabId, message, options) {
+        calls.push({ name: 'tabs.sendMessage', args: [tabId, structuredClone(message), structuredClone(options)] });
+        return structuredClone(await browser.onTabMessage(tabId, structuredClone(message), structuredClone(options)));
+      },
+
+      create: record('tabs.create'),
+      update: record('tabs.update')
+    },
+
+    windows: {
+      getCurrent: record('windows.getCurrent', () => ({ id: windowId })),
+      update: record('windows.update')
+    },
+
+    runtime: {
+      onMessage: new FakeEvent(),
+      onConnect: new FakeEvent(),
+
+      async sendMessage(message) {
+        calls.push({ name: 'runtime.sendMessage', args: [structuredClone(message)] });
+        return structuredClone(await browser.onRuntimeMessage(structuredClone(message)));
+      },
+
+      connect({ name } = {}) {
+        const [near, far] = createPortPair(name);
+        browser.remotePorts.push(far);
+        return near;
+      },
+
+      // A message from another context (a content script, the popup) arriving here
+      deliverMessage(message, sender = {}) {
+        return deliverMessage(browser.runtime.onMessage, message, sender);
+      },
+
+      // Another context connecting to this one; returns that context's end of the port
+      openPort(name) {
+        const [near, far] = createPortPair(name);
+        browser.runtime.onConnect.dispatch(far);
+        return near;
+      },
+
+      getManifest: () => structuredClone(manifest),
+      getURL: (path) => `moz-extension://test-extension/${path}`,
+      openOptionsPage: record('runtime.openOptionsPage')
+    },
+
+    scripting: {
+      executeScript: record('scripting.executeScript', []),
+      registerContentScripts: record('scripting.registerContentScripts', (scripts) => {
+        registeredScripts.push(...structuredClone(scripts));
+      }),
+      unregisterContentScripts: record('scripting.unregisterContentScripts', (filter = {}) => {
+        const ids = filter.ids || registeredScripts.map(script => script.id);
+        for (let i = registeredScripts.length - 1; i >= 0; i--) {
+          if (ids.includes(registeredScripts[i].id)) registeredScripts.splice(i, 1);
+        }
+      }),
+      getRegisteredContentScripts: record('scripting.getRegisteredContentScripts', () => structuredClone(registeredScripts))
+    },
+
+    commands: {
+      onCommand: new FakeEvent()
+    },
+
+    action: {
+      setBadgeText: record('action.setBadgeText'),
+      setBadgeBackgroundColor: record('action.setBadgeBackgroundColor'),
+      setTitle: record('action.setTitle'),
+      setIcon: record('action.setIcon')
+    },
+
+    notifications: {
+      create: record('notifications.create'),
+      clear: record('notifications.clear')
+    },
+
+    sidebarAction: {
+      open: record('sidebarAction.open')
+    },
+
+    storage: {
+      onChanged: storageChanged,
+      local: new FakeStorageArea('local', storageChanged),
+      sync: new FakeStorageArea('sync', storageChanged),
+      session: new FakeStorageArea('session', storageChanged)
+    }
+  };
+
+  return browser;
+}
+
+module.exports = {
+  FakeEvent,
+  FakePort,
+  createFakeBrowser
+};
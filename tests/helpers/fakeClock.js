@@ -0,0 +1,84 @@
+// Fake Clock - Manual timers and Date for scripts run in a vm context. Nothing fires until the
+// test calls tick(), so debounced writes and throttles can be stepped through deterministically.
+'use strict';
+
+class FakeClock {
+  constructor(now = Date.UTC(2024, 0, 1)) {
+    this.now = now;
+    this.timers = new Map(); // id -> { at, callback, args, interval }
+    this.nextId = 1;
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.now + Math.max(0, delay), callback, args, interval: null });
+    return id;
+  }
+
+  setInterval(callback, delay = 0, ...args) {
+    const id = this.nextId++;
+    const interval = Math.max(1, delay);
+    this.timers.set(id, { at: this.now + interval, callback, args, interval });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  // Advance time by ms, running timers as they come due
+  tick(ms) {
+    const end = this.now + ms;
+
+    for (;;) {
+      let nextId = null;
+      let next = null;
+      for (const [id, timer] of this.timers) {
+        if (timer.at <= end && (!next || timer.at < next.at)) {
+          nextId = id;
+          next = timer;
+        }
+      }
+      if (!next) break;
+
+      this.now = next.at;
+      if (next.interval) {
+        next.at += next.interval;
+      } else {
+        this.timers.delete(nextId);
+      }
+      next.callback(...next.args);
+    }
+
+    this.now = end;
+  }
+
+  // Globals to hand to vm.createContext()
+  globals() {
+    const clock = this;
+
+    class FakeDate extends Date {
+      constructor(...args) {
+        if (args.length === 0) {
+          super(clock.now);
+        } else {
+          super(...args);
+        }
+      }
+
+      static now() {
+        return clock.now;
+      }
+    }
+
+    return {
+      Date: FakeDate,
+      setTimeout: this.setTimeout.bind(this),
+      clearTimeout: this.clearTimeout.bind(this),
+      setInterval: this.setInterval.bind(this),
+      clearInterval: this.clearTimeout.bind(this)
+    };
+  }
+}
+
+module.exports = { FakeClock };
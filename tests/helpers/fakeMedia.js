@@ -0,0 +1,106 @@
+// Fake Media - jsdom doesn't load or play media. This replaces HTMLMediaElement's playback state
+// with plain per-element values that tests set through setMediaState(), and makes play()/pause()
+// update them and fire the events a browser would.
+'use strict';
+
+const DEFAULT_STATE = {
+  paused: true,
+  ended: false,
+  currentTime: 0,
+  duration: NaN,
+  readyState: 0,
+  volume: 1,
+  muted: false,
+  playbackRate: 1,
+  playError: null // a DOMException name (e.g. 'NotAllowedError') makes play() reject
+};
+
+function installFakeMedia(window) {
+  const states = new WeakMap();
+  const stateOf = (element) => {
+    if (!states.has(element)) {
+      // The muted attribute only sets the initial value, as in browsers
+      states.set(element, { ...DEFAULT_STATE, muted: element.hasAttribute('muted') });
+    }
+    return states.get(element);
+  };
+  const fire = (element, type) => element.dispatchEvent(new window.Event(type));
+
+  const proto = window.HTMLMediaElement.prototype;
+
+  const readOnly = (key) => ({
+    configurable: true,
+    get() {
+      return stateOf(this)[key];
+    }
+  });
+
+  const writable = (key, eventType) => ({
+    configurable: true,
+    get() {
+      return stateOf(this)[key];
+    },
+    set(value) {
+      stateOf(this)[key] = value;
+      fire(this, eventType);
+    }
+  });
+
+  Object.defineProperties(proto, {
+    paused: readOnly('paused'),
+    ended: readOnly('ended'),
+    duration: readOnly('duration'),
+    readyState: readOnly('readyState'),
+    currentTime: writable('currentTime', 'seeked'),
+    volume: writable('volume', 'volumechange'),
+    muted: writable('muted', 'volumechange'),
+    playbackRate: writable('playbackRate', 'ratechange'),
+
+    seekable: {
+      configurable: true,
+      get() {
+        const { duration } = stateOf(this);
+        const length = duration > 0 ? 1 : 0;
+        return { length, start: () => 0, end: () => duration };
+      }
+    },
+
+    play: {
+      configurable: true,
+      value() {
+        const state = stateOf(this);
+        if (state.playError) {
+          return Promise.reject(new window.DOMException('play() failed', state.playError));
+        }
+        if (state.paused) {
+          state.paused = false;
+          fire(this, 'play');
+        }
+        return Promise.resolve();
+      }
+    },
+
+    pause: {
+      configurable: true,
+      value() {
+        const state = stateOf(this);
+        if (!state.paused) {
+          state.paused = true;
+          fire(this, 'pause');
+        }
+      }
+    },
+
+    load: {
+      configurable: true,
+      value() {}
+    }
+  });
+
+  // Set state without firing events, as if the element had loaded that way
+  return function setMediaState(element, values) {
+    Object.assign(stateOf(element), values);
+  };
+}
+
+module.exports = { installFakeMedia };
@@ -0,0 +1,161 @@
+// Loaders - Run the extension's scripts the way Firefox does: the background scripts from the
+// manifest in a vm context, and the agent and popup inside jsdom windows.
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const { createFakeBrowser } = require('./fakeBrowser');
+const { FakeClock } = require('./fakeClock');
+const { installFakeMedia } = require('./fakeMedia');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+function readFixture(file) {
+  return fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+}
+
+const manifest = JSON.parse(readSource('manifest.json'));
+
+// The files the background injects as the agent, in order, read from AGENT_FILES in background.js
+function agentFiles() {
+  const match = /const AGENT_FILES = (\[[^\]]*\]);/.exec(readSource('background.js'));
+  return JSON.parse(match[1].replace(/'/g, '"'));
+}
+
+// Collects console output instead of printing it; tests can inspect `messages`
+function createConsole() {
+  const messages = { log: [], warn: [], error: [] };
+  return {
+    messages,
+    log: (...args) => messages.log.push(args),
+    info: (...args) => messages.log.push(args),
+    debug: (...args) => messages.log.push(args),
+    warn: (...args) => messages.warn.push(args),
+    error: (...args) => messages.error.push(args)
+  };
+}
+
+// Let pending promise chains (fake API calls, port deliveries) run to completion
+async function settle() {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+// Background scripts in a fresh context with fake timers. `tabs` are added to the fake browser,
+// `storage` seeds its areas ({ local: {...}, sync: {...}, session: {...} }) and beforeLoad can
+// set up replies (browser.onTabMessage) before the scripts run.
+async function loadBackground({ tabs = [], storage = {}, beforeLoad } = {}) {
+  const browser = createFakeBrowser({ manifest });
+  for (const tab of tabs) {
+    browser.addTab(tab);
+  }
+  for (const [area, values] of Object.entries(storage)) {
+    Object.assign(browser.storage[area].data, structuredClone(values));
+  }
+  if (beforeLoad) beforeLoad(browser);
+
+  const clock = new FakeClock();
+  const logs = createConsole();
+  const context = vm.createContext({ browser, console: logs, URL, ...clock.globals() });
+
+  for (const file of manifest.background.scripts) {
+    vm.runInContext(readSource(file), context, { filename: file });
+  }
+  const manager = vm.runInContext('sessionManager', context);
+  await settle();
+
+  return { browser, clock, console: logs, manager, context };
+}
+
+// jsdom has no Media Session API; a bare navigator.mediaSession is enough for the page-world hook,
+// which then runs as it would at document_start
+function installMediaSession(window) {
+  window.eval('window.MediaSession = class MediaSession { setActionHandler() {} };');
+  Object.defineProperty(window.navigator, 'mediaSession', { configurable: true, value: new window.MediaSession() });
+  window.eval(readSource('mediaSessionHook.js'));
+}
+
+// The agent scripts in a jsdom page built from a fixture, with fake media playback. The fake
+// background answers GET_TAB_ID; every message the agent sends is in browser.callsTo('runtime.sendMessage').
+// With mediaSession the page gets the Media Session hook, so beforeLoad can register handlers.
+async function loadAgent(fixture, { url = 'https://media.example/watch', tabId = 7, frameId = 0, mediaSession = false, beforeLoad } = {}) {
+  const dom = new JSDOM(readFixture(fixture), { url, runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const setMediaState = installFakeMedia(window);
+
+  const browser = createFakeBrowser();
+  browser.onRuntimeMessage = (message) => {
+    if (message.type === 'GET_TAB_ID') return { tabId, frameId };
+    return { success: true };
+  };
+  window.browser = browser;
+  window.console = createConsole();
+  if (mediaSession) installMediaSession(window);
+
+  // Lets a test put media into the state it had when the agent arrived
+  if (beforeLoad) beforeLoad({ window, document: window.document, setMediaState });
+
+  for (const file of agentFiles()) {
+    window.eval(readSource(file));
+  }
+  await settle();
+
+  return { dom, window, document: window.document, browser, setMediaState, console: window.console };
+}
+
+// siteAdapters.js on its own in a jsdom page built from a saved player fixture
+function loadSiteAdapters(fixture, { url = 'https://example.com/' } = {}) {
+  const dom = new JSDOM(readFixture(fixture), { url, runScripts: 'outside-only' });
+  const { window } = dom;
+  window.eval(readSource('siteAdapters.js'));
+
+  return { dom, window, document: window.document, adapters: window.MediaSiteAdapters };
+}
+
+// popup.html with the scripts it references; view: 'sidebar' opens it as the sidebar panel does.
+// GET_SESSIONS answers with `sessions`; the background's end of the popup port is returned as `port`.
+async function loadPopup({ view = null, sessions = [], windowId = 1, storage = {} } = {}) {
+  const dom = new JSDOM(readSource('popup.html'), {
+    url: `moz-extension://test-extension/popup.html${view ? `?view=${view}` : ''}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+
+  const browser = createFakeBrowser({ manifest, windowId });
+  for (const [area, values] of Object.entries(storage)) {
+    Object.assign(browser.storage[area].data, structuredClone(values));
+  }
+  browser.onRuntimeMessage = (message) => {
+    if (message.type === 'GET_SESSIONS') return { sessions };
+    if (message.type === 'GET_HISTORY') return { history: [] };
+    return { success: true };
+  };
+  window.browser = browser;
+  window.console = createConsole();
+
+  for (const script of window.document.querySelectorAll('script[src]')) {
+    window.eval(readSource(script.getAttribute('src')));
+  }
+  window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  await settle();
+
+  return { dom, window, document: window.document, browser, port: browser.remotePorts[0], console: window.console };
+}
+
+module.exports = {
+  loadBackground,
+  loadAgent,
+  loadSiteAdapters,
+  loadPopup,
+  settle
+};
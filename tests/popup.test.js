@@ -0,0 +1,159 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPopup, settle } = require('./helpers/load');
+
+const VERSION = 2;
+
+function session(id, values = {}) {
+  const [tabId, frameId, mediaId] = id.split(':');
+  return {
+    id,
+    tabId: Number(tabId),
+    frameId: Number(frameId),
+    mediaId,
+    windowId: 1,
+    title: `Track ${id}`,
+    url: 'https://media.example/watch',
+    lastActiveAt: 0,
+    ...values,
+    state: { paused: false, muted: false, volume: 1, currentTime: 10, duration: 300, canSeek: true, ...values.state }
+  };
+}
+
+// Opens the popup and closes it when the test ends, so its timers don't outlive it
+async function popupFor(t, options) {
+  const popup = await loadPopup(options);
+  t.after(() => popup.window.close());
+  return popup;
+}
+
+const cards = (popup) => Array.from(popup.document.querySelectorAll('[data-session-id]'));
+const cardFor = (popup, sessionId) => popup.document.querySelector(`[data-session-id="${sessionId}"]`);
+
+async function fromBackground(popup, message) {
+  popup.port.postMessage({ version: VERSION, ...message });
+  await settle();
+}
+
+describe('popup rendering', () => {
+  it('shows a card for each session in the current window', async (t) => {
+    const popup = await popupFor(t, {
+      sessions: [session('3:0:m1'), session('4:0:m1', { windowId: 2 }), session('5:0:m1', { title: 'Podcast' })]
+    });
+
+    assert.deepEqual(cards(popup).map(card => card.dataset.sessionId).sort(), ['3:0:m1', '5:0:m1']);
+    assert.equal(cardFor(popup, '5:0:m1').querySelector('.session-title').textContent, 'Podcast');
+    assert.ok(popup.document.getElementById('emptyState').classList.contains('hidden'));
+  });
+
+  it('shows the empty state when nothing is playing', async (t) => {
+    const popup = await popupFor(t);
+
+    assert.equal(cards(popup).length, 0);
+    assert.ok(!popup.document.getElementById('emptyState').classList.contains('hidden'));
+  });
+
+  it('follows session updates and removals from the background', async (t) => {
+    const popup = await popupFor(t, { sessions: [session('3:0:m1')] });
+
+    await fromBackground(popup, { type: 'SESSION_UPDATED', session: session('6:0:m1', { title: 'New tab' }) });
+    assert.equal(cardFor(popup, '6:0:m1').querySelector('.session-title').textContent, 'New tab');
+
+    await fromBackground(popup, { type: 'SESSION_REMOVED', sessionId: '3:0:m1' });
+    assert.deepEqual(cards(popup).map(card => card.dataset.sessionId), ['6:0:m1']);
+  });
+
+  it('offers Picture-in-Picture only for videos the page can pop out', async (t) => {
+    const popup = await popupFor(t, {
+      sessions: [
+        session('3:0:m1', { state: { isVideo: true, canPictureInPicture: false } }),
+        session('5:0:m1', { state: { isVideo: true, canPictureInPicture: true } })
+      ]
+    });
+    const pipHidden = (sessionId) => cardFor(popup, sessionId).querySelector('.pip-btn').classList.contains('hidden');
+
+    assert.equal(pipHidden('3:0:m1'), true);
+    assert.equal(pipHidden('5:0:m1'), false);
+  });
+
+  it('becomes the sidebar panel when opened with view=sidebar', async (t) => {
+    const popup = await popupFor(t, { view: 'sidebar', sessions: [session('3:0:m1')] });
+
+    assert.ok(popup.document.body.classList.contains('sidebar'));
+    assert.equal(cards(popup).length, 1);
+
+    const toolbarPopup = await popupFor(t);
+    assert.ok(!toolbarPopup.document.body.classList.contains('sidebar'));
+  });
+
+  it('ignores malformed messages from the background', async (t) => {
+    const popup = await popupFor(t, { sessions: [session('3:0:m1')] });
+
+    await fromBackground(popup, { type: 'SESSION_REMOVED' });
+
+    assert.equal(cards(popup).length, 1);
+    assert.match(String(popup.console.messages.error.at(-1)), /Ignoring message from background/);
+  });
+});
+
+describe('popup controls', () => {
+  it('sends the toggle with a request id and shows the new state right away', async (t) => {
+    const popup = await popupFor(t, { sessions: [session('3:0:m1')] });
+    const button = cardFor(popup, '3:0:m1').querySelector('.toggle-play-btn');
+    assert.equal(button.title, 'Pause');
+
+    button.click();
+    await settle();
+
+    const commands = popup.port.received.filter(message => message.type === 'CONTROL_COMMAND');
+    assert.equal(commands.length, 1);
+    assert.equal(commands[0].version, VERSION);
+    assert.equal(typeof commands[0].requestId, 'number');
+    assert.deepEqual(commands[0].data, { sessionId: '3:0:m1', cmd: 'toggle' });
+    assert.equal(button.title, 'Play');
+  });
+
+  it('rolls back and explains a command the page refused', async (t) => {
+    const popup = await popupFor(t, { sessions: [session('3:0:m1', { state: { paused: true } })] });
+    const card = cardFor(popup, '3:0:m1');
+    const button = card.querySelector('.toggle-play-btn');
+
+    button.click();
+    await settle();
+    assert.equal(button.title, 'Pause');
+
+    const [command] = popup.port.received.filter(message => message.type === 'CONTROL_COMMAND');
+    await fromBackground(popup, { type: 'COMMAND_RESULT', requestId: command.requestId, ok: false, error: 'The site blocked playback' });
+
+    assert.equal(button.title, 'Play');
+    const error = card.querySelector('.card-error');
+    assert.equal(error.textContent, 'The site blocked playback');
+    assert.ok(!error.classList.contains('hidden'));
+  });
+
+  it('seeks by the current duration after the track changed under the card', async (t) => {
+    const popup = await popupFor(t, { sessions: [session('3:0:m1')] });
+    await fromBackground(popup, { type: 'SESSION_UPDATED', session: session('3:0:m1', { state: { duration: 600 } }) });
+
+    const progressBar = cardFor(popup, '3:0:m1').querySelector('.progress-bar');
+    progressBar.getBoundingClientRect = () => ({ left: 0, width: 100 });
+    progressBar.dispatchEvent(new popup.window.MouseEvent('mousedown', { clientX: 50, bubbles: true }));
+    popup.document.dispatchEvent(new popup.window.MouseEvent('mouseup', { clientX: 50 }));
+    await settle();
+
+    const seek = popup.port.received.find(message => message.type === 'CONTROL_COMMAND' && message.data.cmd === 'setTime');
+    assert.equal(seek.data.time, 300);
+  });
+
+  it('sends pause all from the header', async (t) => {
+    const popup = await popupFor(t, { sessions: [session('3:0:m1')] });
+
+    popup.document.getElementById('pauseAllBtn').click();
+    await settle();
+
+    assert.deepEqual(popup.port.received.filter(message => message.type === 'PAUSE_ALL'), [{ type: 'PAUSE_ALL', version: VERSION }]);
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadSiteAdapters } = require('./helpers/load');
+
+// Loads the adapters into a saved player page and closes it when the test ends
+function adaptersFor(t, fixture) {
+  const page = loadSiteAdapters(fixture);
+  t.after(() => page.window.close());
+  return page;
+}
+
+describe('adapter matching', () => {
+  it('matches a site and its subdomains to the same adapter', (t) => {
+    const { adapters } = adaptersFor(t, 'spotify-player.html');
+
+    assert.equal(adapters.match('spotify.com').id, 'spotify');
+    assert.equal(adapters.match('open.spotify.com').id, 'spotify');
+    assert.equal(adapters.match('music.youtube.com').id, 'youtube-music');
+    assert.equal(adapters.match('notspotify.com'), null);
+    assert.equal(adapters.match('www.youtube.com'), null);
+  });
+});
+
+describe('Spotify', () => {
+  it('reads the player state from the player bar', (t) => {
+    const { adapters, document } = adaptersFor(t, 'spotify-player.html');
+    const spotify = adapters.match('open.spotify.com');
+
+    assert.deepEqual({ ...adapters.readState(spotify, document) }, {
+      paused: false,
+      currentTime: 127,
+      duration: 366,
+      volume: 0.6,
+      muted: false
+    });
+
+    document.querySelector('[data-testid="control-button-playpause"]').setAttribute('aria-label', 'Play');
+    document.querySelector('[data-testid="volume-button"]').setAttribute('aria-label', 'Unmute');
+    const paused = adapters.readState(spotify, document);
+    assert.equal(paused.paused, true);
+    assert.equal(paused.muted, true);
+  });
+
+  it('reads the track from the now-playing widget', (t) => {
+    const { adapters, document } = adaptersFor(t, 'spotify-player.html');
+
+    assert.deepEqual({ ...adapters.readMetadata(adapters.match('open.spotify.com'), document) }, {
+      title: 'Windowlicker',
+      artist: 'Aphex Twin',
+      album: null,
+      artworkUrl: 'https://i.scdn.co/image/ab67616d00004851windowlicker'
+    });
+  });
+});
+
+describe('YouTube Music', () => {
+  it('reads the combined time display, the ARIA volume slider and the track', (t) => {
+    const { adapters, document } = adaptersFor(t, 'youtube-music-player.html');
+    const youtubeMusic = adapters.match('music.youtube.com');
+
+    assert.deepEqual({ ...adapters.readState(youtubeMusic, document) }, {
+      paused: true,
+      currentTime: 92,
+      duration: 329,
+      volume: 0.8,
+      muted: true
+    });
+
+    const metadata = adapters.readMetadata(youtubeMusic, document);
+    assert.equal(metadata.title, 'Teardrop');
+    assert.equal(metadata.artist, 'Massive Attack');
+    assert.equal(metadata.artworkUrl, 'https://lh3.googleusercontent.com/teardrop=w60-h60');
+  });
+});
+
+describe('Deezer', () => {
+  it('works out the length from the time left', (t) => {
+    const { adapters, document } = adaptersFor(t, 'deezer-player.html');
+
+    assert.deepEqual({ ...adapters.readState(adapters.match('www.deezer.com'), document) }, {
+      paused: false,
+      currentTime: 70,
+      duration: 305,
+      volume: 0.45,
+      muted: false
+    });
+  });
+});
+
+describe('time parsing', () => {
+  it('uses the adapter\'s own parser for combined time displays', (t) => {
+    const { adapters, document } = adaptersFor(t, 'spotify-player.html');
+    const radio = adapters.register({
+      id: 'seconds-radio',
+      hosts: ['radio.test'],
+      parseTime: text => parseFloat(text),
+      selectors: { timeInfo: ['.time'] }
+    });
+
+    const root = document.createElement('div');
+    root.innerHTML = '<span class="time">75s / 300s</span>';
+
+    const state = adapters.readState(radio, root);
+    assert.equal(state.currentTime, 75);
+    assert.equal(state.duration, 300);
+  });
+});